@@ -67,6 +67,26 @@ publishTileset() {
 	curl -X POST "https://api.mapbox.com/tilesets/v1/$id/publish?access_token=$TOKEN"
 }
 
+uploadSprite() {
+	svgDir=$1
+	styleID=$2
+	for file in `ls $svgDir`
+	do
+		iconName="${file%.svg}"
+		curl -X PUT "https://api.mapbox.com/styles/v1/$USERNAME/$styleID/sprite/$iconName?access_token=$TOKEN" \
+		  --data-binary @$svgDir/$file
+	done
+}
+
+createStyle() {
+	style_filename=$1
+	styleID=$2
+	USERNAME=$USERNAME node make-style.js $TILESET_NAME $styleID > $style_filename
+	curl -X PATCH "https://api.mapbox.com/styles/v1/$USERNAME/$styleID?access_token=$TOKEN" \
+	  -d @$style_filename \
+	  --header "Content-Type:application/json"
+}
+
 sourceIDs=''
 outputDir='./geojson-ld'
 runMapboxing mapboxing.js $outputDir
@@ -74,3 +94,5 @@ runMapboxing mapboxing.js $outputDir
 #createRecipe $RECIPE_FILENAME "$sourceIDs"
 #createTileset $TILESET_ID $RECIPE_FILENAME
 #publishTileset $TILESET_ID
+#uploadSprite ../svg_files $STYLE_ID
+#createStyle $STYLE_FILENAME $STYLE_ID
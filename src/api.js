@@ -0,0 +1,336 @@
+'use strict';
+
+const _ = require('ramda');
+const pkg = require('../package.json');
+const layersFor = require('./layers').layersFor;
+const WARNINGS_STYLES = require('./geojson').WARNINGS_STYLES;
+const themes = require('./layers').themes;
+
+const LANGUAGES = ['en', 'fr'];
+const ICON_SIZES = [11, 15];
+
+/** Every download, by extension: what it comes back as and what else it takes
+	 */
+const FORMATS = {
+	kmz: {
+		contentType: 'application/vnd.google-earth.kmz',
+		description: 'zipped KML, with icons',
+		options: ['icons', 'theme']
+	},
+	kml: {
+		contentType: 'application/vnd.google-earth.kml+xml',
+		description: 'bare KML; icons are linked from /files-11/',
+		options: []
+	},
+	geojson: {
+		contentType: 'application/geo+json',
+		description: 'GeoJSON FeatureCollection',
+		options: ['stream', 'warnings', 'simplestyle']
+	},
+	json: {
+		contentType: 'application/json',
+		description: 'the same FeatureCollection, as application/json',
+		options: ['stream', 'warnings', 'simplestyle']
+	},
+	gpx: {
+		contentType: 'application/gpx+xml',
+		description: 'GPX; decision points and points of interest as waypoints, access roads as routes, avalanche paths as tracks',
+		options: []
+	},
+	'shp.zip': {
+		contentType: 'application/zip',
+		description: 'zipped shapefiles, one set per layer and geometry type',
+		options: []
+	},
+	gpkg: {
+		contentType: 'application/geopackage+sqlite3',
+		description: 'GeoPackage, a feature table per layer, decision point warnings in decision_points_warnings',
+		options: []
+	}
+};
+
+/** Query parameters, as OpenAPI parameter objects; every download takes bbox, the rest are in FORMATS
+	 */
+const PARAMETERS = {
+	lang: {
+		name: 'lang',
+		in: 'path',
+		required: true,
+		schema: {type: 'string', enum: LANGUAGES}
+	},
+	areaIds: {
+		name: 'areaIds',
+		in: 'path',
+		required: true,
+		description: 'an area id, several separated by commas, or "all" (which needs a bbox)',
+		schema: {type: 'string', pattern: '^(all|[0-9]+(,[0-9]+)*)$'},
+		example: '12,14,401'
+	},
+	bbox: {
+		name: 'bbox',
+		in: 'query',
+		description: 'minx,miny,maxx,maxy in WGS84; only features touching it',
+		schema: {type: 'string'},
+		example: '-118,50,-117,51'
+	},
+	icons: {
+		name: 'icons',
+		in: 'query',
+		description: 'icon size',
+		schema: {type: 'integer', enum: ICON_SIZES, default: ICON_SIZES[0]}
+	},
+	theme: {
+		name: 'theme',
+		in: 'query',
+		description: 'colours and line widths; high-contrast for colour-blind readers and print',
+		schema: {type: 'string', enum: _.keys(themes), default: 'default'}
+	},
+	name: {
+		name: 'name',
+		in: 'query',
+		description: 'only areas with this in their name, whatever the case',
+		schema: {type: 'string'}
+	},
+	stream: {
+		name: 'stream',
+		in: 'query',
+		description: 'read through database cursors and write features as they come',
+		schema: {type: 'boolean', default: false}
+	},
+	warnings: {
+		name: 'warnings',
+		in: 'query',
+		description: 'decision point warnings as a JSON string (json), as concern and managingRisk arrays (arrays), or as concern_1, managingRisk_1, ... (flat)',
+		schema: {type: 'string', enum: _.keys(WARNINGS_STYLES), default: 'json'}
+	},
+	simplestyle: {
+		name: 'simplestyle',
+		in: 'query',
+		description: 'give features simplestyle-spec fill, stroke, marker-color and marker-symbol properties, coloured like the KML',
+		schema: {type: 'boolean', default: false}
+	}
+};
+
+const errorResponse = description => ({
+	description,
+	content: {'application/json': {schema: {$ref: '#/components/schemas/Error'}}}
+});
+
+const jsonResponse = (description, schema) => ({
+	description,
+	content: {'application/json': {schema}}
+});
+
+/**
+	 * @param {string} extension -- a key of FORMATS
+	 * @returns {object} the OpenAPI path item for that download
+	 */
+const downloadPath = extension => {
+	const format = FORMATS[extension];
+	return {
+		get: {
+			summary: format.description,
+			parameters: [PARAMETERS.lang, PARAMETERS.areaIds, PARAMETERS.bbox]
+				.concat(format.options.map(option => PARAMETERS[option])),
+			responses: {
+				200: {
+					description: format.description,
+					content: {[format.contentType]: {schema: {type: 'string', format: 'binary'}}}
+				},
+				304: {description: 'not modified since the ETag in If-None-Match'},
+				400: errorResponse('areas, language, icon size or theme make no sense'),
+				404: errorResponse('one of the areas isn\'t there'),
+				500: errorResponse('the database fell over')
+			}
+		}
+	};
+};
+
+const areasPath = parameters => ({
+	get: {
+		summary: 'every area, with its bbox and where to download it',
+		parameters: parameters.concat([PARAMETERS.name, PARAMETERS.bbox]),
+		responses: {
+			200: jsonResponse('the areas, by name', {
+				type: 'object',
+				properties: {areas: {type: 'array', items: {$ref: '#/components/schemas/Area'}}}
+			}),
+			400: errorResponse('language, name or bbox make no sense'),
+			500: errorResponse('the database fell over')
+		}
+	}
+});
+
+/**
+	 * @returns {object} what GET / answers with
+	 */
+const index = () => ({
+	name: pkg.name,
+	version: pkg.version,
+	description: pkg.description,
+	languages: LANGUAGES,
+	iconSizes: ICON_SIZES,
+	themes: _.keys(themes),
+	formats: _.toPairs(FORMATS).map(([extension, format]) => ({
+		extension,
+		path: `/{lang}/{areaIds}.${extension}`,
+		contentType: format.contentType,
+		description: format.description,
+		options: ['bbox'].concat(format.options)
+	})),
+	areas: '/{lang}/areas',
+	openapi: '/openapi.json',
+	health: '/healthz',
+	readiness: '/readyz'
+});
+
+/**
+	 * @returns {object} an OpenAPI 3 document for every route
+	 */
+const openApi = () => ({
+	openapi: '3.0.3',
+	info: {
+		title: pkg.name,
+		version: pkg.version,
+		description: pkg.description
+	},
+	paths: Object.assign(
+		{
+			'/': {get: {summary: 'what there is to download', responses: {200: jsonResponse('the index', {type: 'object'})}}},
+			'/openapi.json': {get: {summary: 'this', responses: {200: jsonResponse('this document', {type: 'object'})}}},
+			'/healthz': {get: {summary: 'whether the process is up', responses: {200: jsonResponse('up', {$ref: '#/components/schemas/Health'})}}},
+			'/readyz': {
+				get: {
+					summary: 'whether the database answers and the icons are there',
+					responses: {
+						200: jsonResponse('ready', {$ref: '#/components/schemas/Readiness'}),
+						503: jsonResponse('not ready', {$ref: '#/components/schemas/Readiness'})
+					}
+				}
+			},
+			'/areas': areasPath([]),
+			'/{lang}/areas': areasPath([PARAMETERS.lang]),
+			'/{lang}/{layer}/{id}.geojson': {
+				get: {
+					summary: 'one feature, a decision point with its warnings say',
+					parameters: [
+						PARAMETERS.lang,
+						{name: 'layer', in: 'path', required: true, schema: {type: 'string', enum: layersFor('geojson').map(_.prop('table'))}},
+						{name: 'id', in: 'path', required: true, schema: {type: 'integer'}},
+						PARAMETERS.warnings,
+						PARAMETERS.simplestyle
+					],
+					responses: {
+						200: {description: 'the feature', content: {'application/geo+json': {schema: {type: 'object'}}}},
+						400: errorResponse('language, layer or id make no sense'),
+						404: errorResponse('no such feature'),
+						500: errorResponse('the database fell over')
+					}
+				}
+			},
+			'/cache': {
+				delete: {
+					summary: 'throw out every cached download',
+					security: [{invalidationToken: []}],
+					responses: {
+						200: jsonResponse('how many were thrown out', {$ref: '#/components/schemas/Invalidated'}),
+						401: errorResponse('needs the cache invalidation token'),
+						403: errorResponse('the server has no cache invalidation token set, so invalidating is off')
+					}
+				}
+			},
+			'/cache/{areaIds}': {
+				delete: {
+					summary: 'throw out cached downloads with any of these areas in them',
+					security: [{invalidationToken: []}],
+					parameters: [PARAMETERS.areaIds],
+					responses: {
+						200: jsonResponse('how many were thrown out', {$ref: '#/components/schemas/Invalidated'}),
+						400: errorResponse('areas make no sense'),
+						401: errorResponse('needs the cache invalidation token'),
+						403: errorResponse('the server has no cache invalidation token set, so invalidating is off')
+					}
+				}
+			}
+		},
+		_.fromPairs(ICON_SIZES.map(size => [`/files-${size}/{icon}`, {
+			get: {
+				summary: `the ${size}px icons plain KML links to`,
+				parameters: [{name: 'icon', in: 'path', required: true, schema: {type: 'string'}, example: `new-parking-${size}.png`}],
+				responses: {
+					200: {description: 'the icon', content: {'image/png': {schema: {type: 'string', format: 'binary'}}}},
+					404: {description: 'no such icon'}
+				}
+			}
+		}])),
+		_.fromPairs(_.keys(FORMATS).map(extension => [`/{lang}/{areaIds}.${extension}`, downloadPath(extension)]))
+	),
+	components: {
+		schemas: {
+			Error: {
+				type: 'object',
+				properties: {
+					error: {
+						type: 'object',
+						properties: {
+							status: {type: 'integer'},
+							message: {type: 'string'}
+						}
+					}
+				}
+			},
+			Area: {
+				type: 'object',
+				properties: {
+					id: {type: 'integer'},
+					name: {type: 'string'},
+					bbox: {type: 'array', items: {type: 'number'}, minItems: 4, maxItems: 4, description: 'minx, miny, maxx, maxy'},
+					downloads: {
+						type: 'object',
+						description: 'extension => path',
+						additionalProperties: {type: 'string'}
+					}
+				}
+			},
+			Health: {
+				type: 'object',
+				properties: {
+					status: {type: 'string', enum: ['ok']},
+					uptime: {type: 'number', description: 'seconds'}
+				}
+			},
+			Readiness: {
+				type: 'object',
+				properties: {
+					status: {type: 'string', enum: ['ready', 'not ready']},
+					checks: {
+						type: 'object',
+						additionalProperties: {
+							type: 'object',
+							properties: {ok: {type: 'boolean'}, error: {type: 'string'}}
+						}
+					}
+				}
+			},
+			Invalidated: {
+				type: 'object',
+				properties: {removed: {type: 'integer'}}
+			}
+		},
+		securitySchemes: {
+			invalidationToken: {
+				type: 'http',
+				scheme: 'bearer',
+				description: 'the cache invalidation token the server has set'
+			}
+		}
+	}
+});
+
+module.exports = {
+	LANGUAGES,
+	ICON_SIZES,
+	FORMATS,
+	index,
+	openApi
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const _ = require('ramda');
+const Condition = require('./sql').Condition;
+const Query = require('./sql').Query;
+const HttpError = require('./errors').HttpError;
+
+/**
+	 * Which features to get: those in any of {areaIds}, those touching {bbox}, or both
+	 * @class
+	 * @param {Array} areaIds -- ids from areas_vw; null for every area
+	 * @param {Array} bbox    -- [minx, miny, maxx, maxy] in WGS84; null for no bbox
+	 */
+function AreaFilter(areaIds, bbox) {
+	this.areaIds = areaIds || null;
+	this.bbox = bbox || null;
+}
+
+/**
+	 * @param {string} table		 -- the table being filtered
+	 * @param {string} id_column -- the column holding the area's id, eg 'area_id'
+	 * @returns {Array} {Condition}s for a {Query}
+	 */
+AreaFilter.prototype.conditions = function (table, id_column) {
+	return [].concat(
+		this.areaIds ? [new Condition(table, id_column, 'in', this.areaIds)] : [],
+		this.bbox ? [new Condition(table, 'geom', 'intersects', this.bbox)] : []
+	);
+};
+
+/**
+	 * @returns {string} the same for any two filters that pick out the same features
+	 */
+AreaFilter.prototype.toString = function () {
+	const ids = this.areaIds ? _.uniq(this.areaIds).sort((a, b) => a - b).join(',') : 'all';
+	return this.bbox ? `${ids}@${this.bbox.join(',')}` : ids;
+};
+
+/**
+	 * @param {string} areaIds -- comma separated area ids, eg '12,14,401', or 'all'
+	 * @param {string} bbox    -- comma separated minx,miny,maxx,maxy, or undefined
+	 * @returns {AreaFilter} or undefined if either of them is nonsense, or if they'd ask for everything
+	 */
+function parseAreaFilter(areaIds, bbox) {
+	// Express makes a parameter given more than once an array, and an array has no .split
+	if (typeof areaIds !== 'string' || !(typeof bbox === 'undefined' || typeof bbox === 'string')) {
+		return undefined;
+	}
+
+	// Number('') is 0, so '12,' would otherwise ask for area 0 too
+	const parseNumbers = _.compose(
+		_.map(n => (n.trim() === '' ? NaN : Number(n))),
+		_.split(',')
+	);
+
+	const ids = areaIds === 'all' ? null : parseNumbers(areaIds);
+	const corners = typeof bbox === 'undefined' ? null : parseNumbers(bbox);
+
+	if (ids && (ids.length === 0 || !ids.every(Number.isInteger))) {
+		return undefined;
+	}
+
+	if (corners && (corners.length !== 4 || !corners.every(Number.isFinite))) {
+		return undefined;
+	}
+
+	// One inside out is a mistake; better to say so than to guess which corners were meant
+	if (corners && (corners[0] > corners[2] || corners[1] > corners[3])) {
+		return undefined;
+	}
+
+	if (!ids && !corners) {
+		return undefined;
+	}
+
+	return new AreaFilter(ids, corners);
+}
+
+/**
+	 * @param {AreaFilter} filter
+	 * @param {Pool} client -- or a Client; anything with .query
+	 * @returns {Promise} of {filter}, or rejects with a 404 if it names areas that aren't in areas_vw
+	 */
+function checkAreasExist(filter, client) {
+	if (!filter.areaIds) {
+		return Promise.resolve(filter);
+	}
+
+	const query = new Query('areas_vw', ['id'], [new Condition('areas_vw', 'id', 'in', filter.areaIds)], null);
+	return client.query({text: query.to_query, values: query.values})
+		.then(res => {
+			const found = res.rows.map(_.prop('id'));
+			const missing = _.uniq(filter.areaIds.filter(id => !found.includes(id)));
+			if (missing.length > 0) {
+				throw new HttpError(404, `no area with id ${missing.join(', ')}`);
+			}
+
+			return filter;
+		});
+}
+
+module.exports = {
+	AreaFilter,
+	parseAreaFilter,
+	checkAreasExist
+};
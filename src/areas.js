@@ -0,0 +1,34 @@
+'use strict';
+
+const _ = require('ramda');
+const Query = require('./sql').Query;
+const Condition = require('./sql').Condition;
+const positionsOf = require('./geojson').positionsOf;
+const bboxOf = require('./geojson').bboxOf;
+
+/**
+	 * Every area in areas_vw, without its geometry, for finding the id of the one you want
+	 * @param {Pool} client
+	 * @param {string} name -- only areas with this in their name, case aside; undefined for any name
+	 * @param {Array} bbox  -- only areas touching [minx, miny, maxx, maxy]; null for anywhere
+	 * @returns {Promise} of [{id, name, bbox}], by name
+	 */
+function listAreas(client, name, bbox) {
+	const conditions = [].concat(
+		name ? [new Condition('areas_vw', 'name', 'contains', name)] : [],
+		bbox ? [new Condition('areas_vw', 'geom', 'intersects', bbox)] : []
+	);
+	const query = new Query('areas_vw', ['id', 'name'], conditions, null, true);
+
+	return client.query({text: query.to_query, values: query.values})
+		.then(res => _.sortBy(_.prop('name'), res.rows.map(row => ({
+			id: row.id,
+			name: row.name,
+			// GeoJSON of an ST_Envelope; a polygon, or a point for an area that's one
+			bbox: row.bounding_box ? bboxOf(positionsOf(JSON.parse(row.bounding_box))) : null
+		}))));
+}
+
+module.exports = {
+	listAreas
+};
@@ -0,0 +1,215 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const sha1 = contents => crypto.createHash('sha1').update(contents).digest('hex');
+
+/**
+	 * Keeps cache entries in memory, dropping the oldest once there are too many
+	 * @class
+	 * @param {number} maxEntries
+	 */
+function MemoryStore(maxEntries) {
+	this.entries = new Map();
+	this.maxEntries = maxEntries || 100;
+}
+
+MemoryStore.prototype.get = function (key) {
+	return Promise.resolve(this.entries.get(key));
+};
+
+MemoryStore.prototype.set = function (key, entry) {
+	this.entries.delete(key);
+	this.entries.set(key, entry);
+	while (this.entries.size > this.maxEntries) {
+		this.entries.delete(this.entries.keys().next().value);
+	}
+
+	return Promise.resolve(entry);
+};
+
+/**
+	 * @param {function} predicate -- entry => whether to throw it out
+	 * @returns {Promise} of how many were thrown out
+	 */
+MemoryStore.prototype.removeWhere = function (predicate) {
+	const doomed = Array.from(this.entries.values()).filter(predicate);
+	doomed.forEach(entry => this.entries.delete(entry.key));
+	return Promise.resolve(doomed.length);
+};
+
+/**
+	 * Keeps cache entries in {directory}, as a {hash}.body and a {hash}.json holding everything else,
+	 * so they outlive the process; like MemoryStore, the oldest go once there are too many
+	 * @class
+	 * @param {string} directory -- made if it isn't there
+	 * @param {number} maxEntries
+	 */
+function DiskStore(directory, maxEntries) {
+	this.directory = directory;
+	this.maxEntries = maxEntries || 100;
+	fs.mkdirSync(directory, {recursive: true});
+}
+
+DiskStore.prototype.pathOf = function (key, extension) {
+	return path.join(this.directory, `${sha1(key)}.${extension}`);
+};
+
+DiskStore.prototype.get = function (key) {
+	const fsp = fs.promises;
+	return Promise.all([
+		fsp.readFile(this.pathOf(key, 'json'), 'utf8'),
+		fsp.readFile(this.pathOf(key, 'body'))
+	])
+		.then(([meta, body]) => Object.assign(JSON.parse(meta), {body}))
+		.catch(error => {
+			if (error.code === 'ENOENT') {
+				return undefined;
+			}
+
+			throw error;
+		});
+};
+
+DiskStore.prototype.set = function (key, entry) {
+	const fsp = fs.promises;
+	const meta = Object.assign({}, entry);
+	delete meta.body;
+	// The body goes first, so there's never a .json without one
+	return fsp.writeFile(this.pathOf(key, 'body'), entry.body)
+		.then(() => fsp.writeFile(this.pathOf(key, 'json'), JSON.stringify(meta)))
+		.then(() => this.metas())
+		.then(metas => {
+			const oldestFirst = metas.slice().sort((a, b) => a.created - b.created);
+			return Promise.all(oldestFirst.slice(0, Math.max(0, metas.length - this.maxEntries)).map(m => this.remove(m)));
+		})
+		.then(() => entry);
+};
+
+/**
+	 * @returns {Promise} of every entry there is, less its body
+	 */
+DiskStore.prototype.metas = function () {
+	const fsp = fs.promises;
+	const readMeta = file => fsp.readFile(path.join(this.directory, file), 'utf8')
+		.then(JSON.parse)
+		.catch(() => undefined);
+
+	return fsp.readdir(this.directory)
+		.then(files => Promise.all(files.filter(file => file.endsWith('.json')).map(readMeta)))
+		.then(metas => metas.filter(meta => meta));
+};
+
+DiskStore.prototype.remove = function (meta) {
+	return Promise.all(['json', 'body'].map(extension => (
+		fs.promises.unlink(this.pathOf(meta.key, extension)).catch(() => undefined)
+	)));
+};
+
+DiskStore.prototype.removeWhere = function (predicate) {
+	return this.metas()
+		.then(metas => metas.filter(predicate))
+		.then(doomed => Promise.all(doomed.map(meta => this.remove(meta))).then(() => doomed.length));
+};
+
+/**
+	 * Generated downloads, kept for {ttl} milliseconds so the same one isn't queried and zipped over and over
+	 * @class
+	 * @param {MemoryStore|DiskStore} store
+	 * @param {number} ttl -- milliseconds an entry is good for
+	 */
+function ResponseCache(store, ttl) {
+	this.store = store;
+	this.ttl = ttl;
+}
+
+ResponseCache.prototype.isStale = function (entry) {
+	return Date.now() - entry.created >= this.ttl;
+};
+
+/**
+	 * @param {string} key
+	 * @returns {Promise} of the entry, or undefined if there isn't one or it's gone stale
+	 */
+ResponseCache.prototype.get = function (key) {
+	return this.store.get(key).then(entry => (
+		entry && !this.isStale(entry) ? entry
+		: /*         else         */ undefined
+	));
+};
+
+/**
+	 * @param {string} key
+	 * @param {Buffer|string} body
+	 * @param {object} headers -- header name => value, sent again with the body
+	 * @param {Array} areaIds -- the areas in it, so it can be thrown out with them; null for any area
+	 * @returns {Promise} of the new entry, once anything stale has been thrown out too
+	 */
+ResponseCache.prototype.set = function (key, body, headers, areaIds) {
+	const contents = Buffer.isBuffer(body) ? body : Buffer.from(body);
+	return this.store.set(key, {
+		key,
+		areaIds: areaIds || null,
+		created: Date.now(),
+		etag: `"${sha1(contents)}"`,
+		headers,
+		body: contents
+	}).then(entry => this.store.removeWhere(e => this.isStale(e)).then(() => entry));
+};
+
+/**
+	 * @param {Array} areaIds -- areas whose data changed; undefined to throw out everything
+	 * @returns {Promise} of how many entries were thrown out
+	 */
+ResponseCache.prototype.invalidate = function (areaIds) {
+	return this.store.removeWhere(entry => (
+		!areaIds || !entry.areaIds || entry.areaIds.some(id => areaIds.includes(id))
+	));
+};
+
+/**
+	 * Answers from the cache if it can, otherwise with whatever {render} makes, which is then cached.
+	 * A request whose If-None-Match or If-Modified-Since still holds gets a 304.
+	 * @param {Request} req
+	 * @param {Response} res
+	 * @param {string} key
+	 * @param {Array} areaIds -- see set
+	 * @param {function} render -- () => promise of the body; sets Content-Type and Content-Disposition on {res} as it goes
+	 * @returns {Promise} resolves once the response is sent
+	 */
+ResponseCache.prototype.respond = function (req, res, key, areaIds, render) {
+	const renderAndKeep = () => render().then(body => this.set(key, body, {
+		'Content-Type': res.get('Content-Type'),
+		'Content-Disposition': res.get('Content-Disposition')
+	}, areaIds));
+
+	return this.get(key)
+		.then(entry => entry || renderAndKeep())
+		.then(entry => {
+			Object.keys(entry.headers)
+				.filter(name => entry.headers[name])
+				.forEach(name => res.set(name, entry.headers[name]));
+			res.set('ETag', entry.etag);
+			res.set('Last-Modified', new Date(entry.created).toUTCString());
+			// Express answers with a 304 itself when the request is fresh
+			res.send(entry.body);
+		});
+};
+
+/**
+	 * @param {object} options -- {directory, ttl (seconds), maxEntries}; no directory means an in memory cache
+	 * @returns {ResponseCache}
+	 */
+const newResponseCache = options => new ResponseCache(
+	options.directory ? new DiskStore(options.directory, options.maxEntries) : new MemoryStore(options.maxEntries),
+	options.ttl * 1000
+);
+
+module.exports = {
+	MemoryStore,
+	DiskStore,
+	ResponseCache,
+	newResponseCache
+};
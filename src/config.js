@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs');
+const _ = require('ramda');
+
+/** What the server runs with if nothing says otherwise
+	 */
+const DEFAULTS = {
+	port: 3000,
+	host: undefined,
+	database: {},
+	pool: {
+		max: 10,
+		idleTimeoutMillis: 30000
+	},
+	cache: {
+		directory: undefined,
+		ttl: 24 * 60 * 60,
+		maxEntries: 100,
+		invalidationToken: undefined
+	}
+};
+
+/** config path => [environment variable, how to read it]
+	 */
+const ENVIRONMENT = [
+	[['port'], 'PORT', Number],
+	[['host'], 'HOST', String],
+	[['database', 'connectionString'], 'ATES_CONNECTION_STRING', String],
+	[['database', 'host'], 'PGHOST', String],
+	[['database', 'port'], 'PGPORT', Number],
+	[['database', 'user'], 'PGUSER', String],
+	[['database', 'password'], 'PGPASSWORD', String],
+	[['database', 'database'], 'PGDATABASE', String],
+	[['pool', 'max'], 'POOL_SIZE', Number],
+	[['pool', 'idleTimeoutMillis'], 'POOL_IDLE_TIMEOUT', Number],
+	[['cache', 'directory'], 'CACHE_DIR', String],
+	[['cache', 'ttl'], 'CACHE_TTL', Number],
+	[['cache', 'maxEntries'], 'CACHE_MAX_ENTRIES', Number],
+	[['cache', 'invalidationToken'], 'CACHE_INVALIDATION_TOKEN', String]
+];
+
+/**
+	 * @param {object} env -- process.env, or something like it
+	 * @returns {object} the config the environment variables make, with only the ones that are set
+	 */
+const fromEnvironment = env => ENVIRONMENT
+	.filter(([_path, name]) => typeof env[name] !== 'undefined' && env[name] !== '')
+	.reduce((config, [path, name, read]) => _.assocPath(path, read(env[name]), config), {});
+
+/**
+	 * @param {string} file -- a JSON file shaped like DEFAULTS, or undefined for none
+	 * @returns {object} what's in it
+	 */
+const fromFile = file => (file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+
+/**
+	 * Environment variables win over the config file (ATES_CONFIG, if it's set), which wins over DEFAULTS
+	 * @param {object} env -- process.env, or something like it
+	 * @returns {object} {port, host, database, pool, cache}
+	 * @throws {Error} if the config file can't be read, or the port or pool size aren't numbers
+	 */
+function loadConfig(env) {
+	const config = [DEFAULTS, fromFile(env.ATES_CONFIG), fromEnvironment(env)]
+		.reduce(_.mergeDeepRight);
+
+	[['port'], ['pool', 'max'], ['cache', 'ttl']].forEach(path => {
+		if (!Number.isFinite(_.path(path, config))) {
+			throw new Error(`${path.join('.')} should be a number`);
+		}
+	});
+
+	return config;
+}
+
+module.exports = {
+	DEFAULTS,
+	loadConfig
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+const Cursor = require('pg-cursor');
+
+const ROWS_PER_READ = 100;
+
+/**
+	 * Reads a query's rows through a cursor, so only a batch of them is ever in memory
+	 * @param {Client}	 client			-- a require('pg') client; the cursor has it to itself until it's done
+	 * @param {Query}		queryObject -- the query to read
+	 * @param {function} onRows			-- called with each batch of rows; if it returns a promise, the next read waits for it
+	 * @returns {Promise} resolves once every row has been handed to {onRows};
+	 * if {onRows}' promise rejects, the cursor is closed, so the client's free again, and this rejects with it
+	 */
+function readInBatches(client, queryObject, onRows) {
+	return new Promise((resolve, reject) => {
+		const cursor = client.query(new Cursor(queryObject.to_query, queryObject.values));
+		const closeThen = f => x => cursor.close(() => f(x));
+
+		const readMore = () => {
+			cursor.read(ROWS_PER_READ, (err, rows) => {
+				// A cursor that's errored is already done with, and closing it would wait forever
+				if (err) {
+					reject(err);
+				} else if (rows.length === 0) {
+					closeThen(resolve)();
+				} else {
+					Promise.resolve(onRows(rows)).then(readMore, closeThen(reject));
+				}
+			});
+		};
+
+		readMore();
+	});
+}
+
+/**
+	 * @param {Writable} output
+	 * @param {string}	 chunk
+	 * @returns {Promise} resolves once {output} is ready for more;
+	 * rejects if it closes or errors first, a download the client gave up on say, so whatever's reading stops
+	 */
+const writeChunk = (output, chunk) => {
+	if (output.destroyed) {
+		return Promise.reject(new Error('output closed before everything was written'));
+	}
+
+	return output.write(chunk) ? Promise.resolve() : new Promise((resolve, reject) => {
+		const settle = f => error => {
+			output.removeListener('drain', onDrain);
+			output.removeListener('close', onClose);
+			output.removeListener('error', onClose);
+			f(error);
+		};
+
+		const onDrain = settle(resolve);
+		const onClose = settle(error => reject(error || new Error('output closed before everything was written')));
+		output.once('drain', onDrain);
+		output.once('close', onClose);
+		output.once('error', onClose);
+	});
+};
+
+module.exports = {
+	readInBatches,
+	writeChunk
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+const Pool = require('pg').Pool;
+
+/**
+	 * A connection that drops is thrown out of the pool, and the next query gets a new one,
+	 * so the database going away for a bit doesn't take the server with it
+	 * @param {object} config -- from loadConfig
+	 * @param {function} log -- where dropped connections are reported
+	 * @returns {Pool} something to .query, like a Client
+	 */
+function newPool(config, log) {
+	const pool = new Pool(Object.assign({}, config.database, config.pool));
+	// Without a listener, a connection erroring while it sits idle would crash the process
+	pool.on('error', error => log(`database connection dropped: ${error.message}`));
+	return pool;
+}
+
+/**
+	 * For what needs one connection to itself, like a cursor
+	 * @param {Pool} pool
+	 * @param {function} f -- client => promise; the client goes back to the pool once it settles
+	 * @returns {Promise} whatever {f} promised
+	 */
+function withClient(pool, f) {
+	return pool.connect().then(client => Promise.resolve(client).then(f).then(
+		result => {
+			client.release();
+			return result;
+		},
+		error => {
+			// It might be the connection that's broken, so it's not handed out again
+			client.release(error);
+			throw error;
+		}
+	));
+}
+
+module.exports = {
+	newPool,
+	withClient
+};
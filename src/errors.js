@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+	 * An error that's the client's to know about, with the status to answer it with
+	 * @class
+	 * @param {number} status	-- eg 400, 404
+	 * @param {string} message -- sent to the client as is
+	 */
+function HttpError(status, message) {
+	this.name = 'HttpError';
+	this.status = status;
+	this.message = message;
+	Error.captureStackTrace(this, HttpError);
+}
+
+HttpError.prototype = Object.create(Error.prototype);
+HttpError.prototype.constructor = HttpError;
+
+/**
+	 * Express error handler: {HttpError}s are answered with their status and message,
+	 * anything else is logged and answered with a 500 that gives nothing away.
+	 * Once the headers have gone out there's no telling the client, so the response is cut short
+	 * rather than left looking complete.
+	 * Express only takes it for an error handler because it has all four arguments, next included.
+	 * @param {function} log -- where errors that aren't the client's fault are logged
+	 * @returns {function} (err, req, res, next) => undefined
+	 */
+const sendError = log => (err, req, res, next) => {
+	const status = err instanceof HttpError ? err.status : 500;
+	if (status === 500) {
+		log(err.stack);
+	}
+
+	if (res.headersSent) {
+		res.destroy();
+		return;
+	}
+
+	// Anything cached or attached for the download doesn't apply to the error
+	['Content-Disposition', 'ETag', 'Last-Modified'].forEach(name => res.removeHeader(name));
+	res.status(status).json({
+		error: {
+			status,
+			message: status === 500 ? 'something went wrong getting that from the database' : err.message
+		}
+	});
+};
+
+module.exports = {
+	HttpError,
+	sendError
+};
@@ -5,12 +5,49 @@
 	 * and i don't want to see the documentation without explicitly unfolding it
 	 */
 
-const Readable = require('stream').Readable;
 const xml = require('xml');
 const xml_parse_string = require('fast-xml-parser').parse;
-const Client = require('pg').Client;
-const archiver = require('archiver');
 const _ = require('ramda');
+const geoJsonToGPX = require('./gpx').geoJsonToGPX;
+const newZipArchive = require('./zip').newZipArchive;
+const streamOf = require('./zip').streamOf;
+const bufferOf = require('./zip').bufferOf;
+const makeShapefileZipStream = require('./shapefile').makeShapefileZipStream;
+const makeGeoPackage = require('./geopackage').makeGeoPackage;
+const Condition = require('./sql').Condition;
+const layersFor = require('./layers').layersFor;
+const stylesOf = require('./layers').stylesOf;
+const queriesFor = require('./layers').queriesFor;
+const queryFor = require('./layers').queryFor;
+const layerOf = require('./layers').layerOf;
+const themes = require('./layers').themes;
+const themed = require('./layers').themed;
+const FeatureCollection = require('./geojson').FeatureCollection;
+const rowToFeature = require('./geojson').rowToFeature;
+const warnify = require('./geojson').warnify;
+const warningType = require('./geojson').warningType;
+const WARNING_NAMES = require('./geojson').WARNING_NAMES;
+const streamFeatureCollection = require('./geojson').streamFeatureCollection;
+const WARNINGS_STYLES = require('./geojson').WARNINGS_STYLES;
+const warningsAs = require('./geojson').warningsAs;
+const withSimplestyle = require('./geojson').withSimplestyle;
+const newResponseCache = require('./cache').newResponseCache;
+const HttpError = require('./errors').HttpError;
+const sendError = require('./errors').sendError;
+const loadConfig = require('./config').loadConfig;
+const newPool = require('./db').newPool;
+const withClient = require('./db').withClient;
+const healthz = require('./health').healthz;
+const readyz = require('./health').readyz;
+const LANGUAGES = require('./api').LANGUAGES;
+const ICON_SIZES = require('./api').ICON_SIZES;
+const FORMATS = require('./api').FORMATS;
+const apiIndex = require('./api').index;
+const openApi = require('./api').openApi;
+const listAreas = require('./areas').listAreas;
+const parseAreaFilter = require('./area-filter').parseAreaFilter;
+const checkAreasExist = require('./area-filter').checkAreasExist;
+const labels = require('./labels.json');
 
 const tee = f => x => {
 	f(x);
@@ -26,130 +63,20 @@ const prependedErrorLogging = p => l => errorTrace(`${p} ${l}`);
 const x11Log = prependedLogging('(II)');
 const x11Err = prependedErrorLogging('(EE)');
 
-/**
-	 * @class
-	 * @param {string} table								- table to SELECT from
-	 * @param {Array}	non_geometry_columns - columns that don't contain geometry
-	 * @param {string} where_clause				 - SQL WHERE clause, eg "WHERE area_id=$1"
-	 * @param {string} geometry_column			- column with the geometry
-	 * @param {Query}	subquery						 - in practice, query to decision_point_warnings from inside decision_points
-	 */
-function Query(table, non_geometry_columns, where_clause, ogr_type, lang, bounding_box, subquery, geometry_column) {
-	/** Object mapping from languages to database tables to the names presented to the user
-		 */
-	const names = {
-		en: {
-			areas_vw: 'Area',
-			points_of_interest: 'Points of interest',
-			access_roads: 'Access road',
-			avalanche_paths: 'Avalanche path',
-			decision_points: 'Decision point',
-			zones: 'Zone'
-		},
-		fr: {
-			areas_vw: 'Régions',
-			points_of_interest: 'Points d\'intérêt',
-			access_roads: 'Routes d\'accès',
-			avalanche_paths: 'Couloirs d’avalanche',
-			decision_points: 'point de décision',
-			zones: 'Zone'
-		}
-	};
-
-	this.table = table;
-	this.non_geometry_columns = non_geometry_columns;
-	this.where_clause = where_clause;
-	this.subquery = subquery;
-	this.ogr_type = ogr_type;
-	this.geometry_column = (typeof geometry_column === 'null') ? null : 'geom';
-	this.bounding_box = typeof bounding_box !== 'undefined' ? bounding_box : false;
-	this.lang = lang || 'en';
-	this.name = names[this.lang][table];
-	/*
-	This.geometry_transformation;
-	this.to_query;
-	*/
-
-	switch (ogr_type) {
-		case 'KML':
-			this.geometry_transformation = 'ST_AsKML';
-			break;
-
-		case 'GeoJSON':
-		default:
-			this.geometry_transformation = 'ST_AsGeoJSON';
-			break;
-	}
-
-	if (typeof this.geometry_column === 'null') {
-		this.to_query = `SELECT ${this.non_geometry_columns.join(', ')} FROM ${this.table} WHERE ${this.where_clause};`;
-	} else if (bounding_box) {
-		this.to_query = `SELECT ${this.geometry_transformation}(${this.geometry_column}) AS geometry, ${this.geometry_transformation}(ST_Envelope(${this.geometry_column})) AS bounding_box, ${this.non_geometry_columns.join(', ')} FROM ${this.table} WHERE ${this.where_clause};`;
-	} else {
-		this.to_query = `SELECT ${this.geometry_transformation}(${this.geometry_column}) AS geometry, ${this.non_geometry_columns.join(', ')} FROM ${this.table} WHERE ${this.where_clause};`;
-	}
-}
+const returnIfIn = (v, a) => a.filter(_.equals(v))[0];
 
 /**
-	 * Constructor for a query that involves two tables.
-	 * @class
-	 * @param {Query}	query1			 -- the table to the joined from
-	 * @param {Query}	query2			 -- the table to the joined to	??? just read this.to_query it'll make sense
-	 * @param {string} join_on			-- FROM ${query1.table} JOIN ${query2.table} ON ${join_on}
-	 * @param {string} where_clause -- SQL WHERE clause, without the WHERE
-	 * this will probably only work for our specific use case, but i don't think it's worth it to write expansive code here
-	 */
-function JoinQuery(query1, query2, join_on, where_clause) {
-	/**
-		 * Join non-geometry columns
-		 */
-	function join_non_geoms(query) {
-		const joined_columns_proto = query.non_geometry_columns.join(`, ${query.table}.`);
-		const joined_columns = `${query.table}.${joined_columns_proto}`;
-		return joined_columns;
-	}
-
-	const geometry_column = query1.geometry_column || query2.geometry_column;
-	const geometry_transformation = query1.geometry_transformation || query2.geometry_transformation;
-	return {
-		table: query1.table,
-		name: query1.name,
-		to_query: `SELECT ${geometry_transformation}(${geometry_column}) AS geometry,
-				${join_non_geoms(query1)}, ${join_non_geoms(query2)}
-				FROM ${query1.table} JOIN ${query2.table} 
-					ON ${join_on}
-				WHERE ${where_clause};`
-	};
-}
-
-/**
-	 * @function query_database
+	 * @function geojsonQueryDatabase
 	 * @description get rows from the database, mapped to features
-	 * @param	{Query} query_object - Array of Query objects
-	 * @param	{number}		 area_id - area_id we're getting data from
-	 * @param	{Client}			client - pg {Client} object used to query the database
+	 * @param	{Query} queryObject - the query to run
+	 * @param	{Client}			client - pg {Pool} or {Client} used to query the database
 	 * @return {Promise}							a {Feature} object for each row
 	 */
-function geojsonQueryDatabase(queryObject, area_id, client, Feature) {
-	const rowToObject = _.mergeDeepRight({table: queryObject.table});
-
-	const objectToFeature = geometry_column => row => (
-		new Feature(
-			row[geometry_column],
-			row.table,
-			row
-		)
-	);
-
-	const rowToFeature = _.compose(
-		objectToFeature('geometry'),
-		rowToObject
-	);
-
+function geojsonQueryDatabase(queryObject, client) {
+	// Unnamed, since the text changes with the filter and pg won't reuse a name for different text
 	const query = {
-		name: `get rows from ${queryObject.table}`,
 		text: queryObject.to_query,
-		values: [area_id]
+		values: queryObject.values
 	};
 
 	return new Promise((resolve, reject) => {
@@ -160,7 +87,7 @@ function geojsonQueryDatabase(queryObject, area_id, client, Feature) {
 						console.error(new Error('Error connecting to database'));
 					}
 
-					return res.rows.map(rowToFeature);
+					return res.rows.map(rowToFeature(queryObject.table));
 				})
 				.catch(error => {
 					console.error(error.stack);
@@ -172,119 +99,19 @@ function geojsonQueryDatabase(queryObject, area_id, client, Feature) {
 
 /*
 	 * @return {Promise}					promises a geojson {FeatureCollection}
-	 * @param	{number} area_id
-	 * @param	{Client}	client - a pg postgresql client
+	 * @param	{Client}	client - a pg postgresql pool or client
 	 * @param	{Array}	queries - an array of {Query} objects
 	 */
-function promiseOfGeoJson(areaId, client, queries) {
-	/**
-		 * @param {JSON} geometry - GeoJSON geometry object
-		 * @param {string} feature_type	- the table the feature came from
-		 * @param {object} properties		- properties associated with feature. Every column pulled from the table that isn't geometry.
-		 */
-	function Feature(geometry, feature_type, properties) {
-		this.type = 'Feature';
-		try {
-			this.geometry = JSON.parse(geometry);
-		} catch (error) {
-			console.error('is one of your queries returning KML?');
-			console.error(this.geometry);
-			console.error(error.stack);
-			throw new TypeError('geometry isn\'t geojson');
-		}
-
-		if ('bounding_box' in properties) {
-			this.bounding_box = properties.bounding_box;
-			delete properties.bounding_box;
-		}
-
-		if ('type' in properties) {
-			properties.type = properties.type.toLowerCase().replace(' ', '-');
-		}
-
-		this.properties = properties;
-		this.properties.table = feature_type;
-	}
-
-	/**
-		 * @param {Array} features - list of the features collected
-		 */
-	function FeatureCollection(features)	{
-		this.type = 'FeatureCollection';
-		this.features = features;
-	}
-
-	/**
-		 * Decomposes the garbage the database outputs into digestible warnings
-		 * @returns pg rows
-		 */
-	function warnify(features) {
-		const flatten_warnings = JSON.stringify;
-
-		const getGeometries = _.compose(
-			_.map(_.split(', ')),
-			_.uniq,
-			_.map(_.compose(
-				_.join(', '),
-				_.prop('coordinates'),
-				_.prop('geometry')
-			))
-		);
-
-		const geometries = getGeometries(features);
-
-		const properties = {};
-		geometries.forEach(g => {
-			properties[g] = {};
-			properties[g].warnings = {
-				'managing-risk': [],
-				concern: []
-			};
-		});
-
-		features.forEach(r => {
-			const warningType = r.properties.type;
-			const coordinates = r.geometry.coordinates;
-			try {
-				properties[coordinates].warnings[warningType].push(r.properties.warning);
-				delete r.properties.warning;
-				delete r.properties.type;
-				for (const key in r.properties) {
-					if ({}.hasOwnProperty.call(r.properties, key)) {
-						properties[r.geometry.coordinates][key] = r.properties[key];
-					}
-				}
-			} catch (error) {
-				console.error(error.stack);
-			}
-		});
-
-		for (const g in properties) {
-			properties[g].warnings = flatten_warnings(properties[g].warnings);
-		}
-
-		const rowsOut = geometries.map(geom => {
-			return new Feature(
-				JSON.stringify({
-					type: 'Point',
-					coordinates: geom.map(Number.parseFloat)
-				}),
-				'decision_points',
-				properties[geom]
-			);
-		});
-
-		return rowsOut;
-	}
-
+function promiseOfGeoJson(client, queries) {
 	return new Promise((resolve, reject) => {
 		const features = [];
-		const pushOntoFeatures = features.push.bind(features);
+		const pushOntoFeatures = feature => features.push(feature);
 
-		const query_promises = queries.map(query => geojsonQueryDatabase(query, areaId, client, Feature));
+		const query_promises = queries.map(query => geojsonQueryDatabase(query, client));
 		Promise.all(query_promises).then(values => {
 			values.forEach(querys_features => {
-				if (querys_features[0].properties.table === 'decision_points') {
+				// An area without decision points gives back no rows at all
+				if (querys_features.length > 0 && querys_features[0].properties.table === 'decision_points') {
 					querys_features = warnify(querys_features);
 				}
 
@@ -292,90 +119,65 @@ function promiseOfGeoJson(areaId, client, queries) {
 			});
 			const collected_features = new FeatureCollection(features);
 			resolve(collected_features);
-		});
+		}).catch(reject);
 	});
 }
 
 /**
-	 * Prints geojson to console
+	 * @param {AreaFilter} filter -- which areas' features you want to query.
+	 * @param {string} lang        -- either 'en' (English) or 'fr' (French).
+	 * @param {string} output      -- what it'll be turned into, see "outputs" in layers.json; 'geojson' if left out.
+	 * @returns {Promise} promise of a geojson {FeatureCollection}
 	 */
-function get_geojson(area_id, client) {
-	const queries = [
-		new Query(
-			'areas_vw',
-			['id', 'name'],
-			'id=$1',
-			'GeoJSON',
-			'en',
-			true
-		),
-		new Query(
-			'points_of_interest',
-			['id', 'area_id', 'name', 'type', 'comments'],
-			'area_id=$1',
-			'GeoJSON'
-		),
-		new Query(
-			'access_roads',
-			['id', 'area_id', 'description'],
-			'area_id=$1',
-			'GeoJSON'
-		),
-		new Query(
-			'avalanche_paths',
-			['id', 'area_id', 'name'],
-			'area_id=$1',
-			'GeoJSON'
-		),
-		new JoinQuery(
-			new Query(
-				'decision_points',
-				['id', 'name', 'area_id', 'comments'],
-				'area_id=$1',
-				'GeoJson',
-				'en'
-			),
-			new Query(
-				'decision_points_warnings',
-				['warning', 'type'],
-				'decision_point_id=$1',
-				'GeoJson',
-				'en',
-				false
-			),
-			'decision_point_id=decision_points.id',
-			'decision_points.area_id = $1'
-		),
-		new Query(
-			'zones',
-			['id', 'area_id', 'class_code', 'comments'],
-			'area_id=$1',
-			'GeoJSON',
-			'en',
-			true
-		)
-	];
-
-	// {debug} is just a way for me to redirect the output to files
-	const debug = true; // TODO set false in production
-
-	promiseOfGeoJson(area_id, client, queries)
-		.then(geoJsonDoc => {
-			client.end();
-			if (debug) {
-				console.log(JSON.stringify(geoJsonDoc));
-			}
-		});
+function get_geojson(filter, lang, client, output) {
+	const queries = queriesFor(output || 'geojson', 'GeoJSON', lang, filter.conditions.bind(filter));
+
+	return promiseOfGeoJson(client, queries);
 }
 
+/**
+	 * @param {string} table -- a layer's table, from layers.json
+	 * @param {number} id    -- the feature's id in {table}
+	 * @param {string} lang  -- either 'en' (English) or 'fr' (French).
+	 * @returns {Promise} promise of the {Feature}, warnified if it's a decision point; undefined if there's no such feature
+	 */
+function get_feature(table, id, lang, client) {
+	const query = queryFor(layerOf(table), 'GeoJSON', lang, [new Condition(table, 'id', 'equals', id)]);
+	return geojsonQueryDatabase(query, client)
+		.then(features => (table === 'decision_points' && features.length > 0 ? warnify(features) : features))
+		.then(_.head);
+}
+
+/**
+	 * Like get_geojson, but reads through cursors and writes each batch of features as it comes
+	 * @param {AreaFilter} filter -- which areas' features you want to query.
+	 * @param {string} lang        -- either 'en' (English) or 'fr' (French).
+	 * @param {Writable} output    -- where the FeatureCollection is written; ended after
+	 * @param {function} mapFeature -- feature => feature, for each one before it's written; see featuresAs
+	 * @returns {Promise} resolves once the FeatureCollection has been written
+	 */
+function stream_geojson(filter, lang, client, output, mapFeature) {
+	const queries = queriesFor('geojson', 'GeoJSON', lang, filter.conditions.bind(filter));
+	return streamFeatureCollection(client, queries, output, mapFeature || warningsAs('json'));
+}
+
+/**
+	 * @param {string} warnings     -- how decision points' warnings go out, see WARNINGS_STYLES
+	 * @param {boolean} simplestyle -- whether features get simplestyle-spec properties from their KML styles
+	 * @returns {function} feature => the feature as it goes out
+	 */
+const featuresAs = (warnings, simplestyle) => (
+	simplestyle ? _.pipe(warningsAs(warnings), withSimplestyle)
+	: /* else */ warningsAs(warnings)
+);
+
 /**
 	 * @param {Query}		query_object	-- object describing the database query
-	 * @param {number}	 area_id			 -- area_id for WHERE clause in database query
-	 * @param {Client}	 client				-- a require('pg') client
+	 * @param {Client}	 client				-- a require('pg') pool or client
 	 * @param {function} new_placemark -- a placemark constructor
 	 * @returns {Promise} database rows, formatted using {new_placemark}
 	 */
-function KML_query_database(query_object, area_id, client, new_placemark) {
+function KML_query_database(query_object, client, new_placemark) {
 	/**
 		 * Constructor for geometry objects.
 		 * @class
@@ -474,30 +276,29 @@ function KML_query_database(query_object, area_id, client, new_placemark) {
 	);
 
 	const query = {
-		name: `get rows from ${query_object.table}`,
 		text: query_object.to_query,
-		values: [area_id]
+		values: query_object.values
 	};
 
-	return new Promise((resolve, reject) => {
-		resolve(
-			client.query(query)
-				.then(res => ({
-					table: query_object.table,
-					name: query_object.name,
-					rows: res.rows.map(rowToPlacemark)
-				}))
-				.catch(error => console.error(error.stack))
-		);
-	});
+	return client.query(query)
+		.then(res => ({
+			table: query_object.table,
+			name: query_object.name,
+			rows: res.rows.map(rowToPlacemark)
+		}))
+		.catch(error => {
+			console.error(error.stack);
+			throw error;
+		});
 }
 
 /**
 	 * @param {function} newPlacemark -- a placemark constructor
 	 * @param {Array} styles -- see styles_for_header
+	 * @param {string} lang -- what language the popups are in, 'en' or 'fr'
 	 * @returns promise of a KML document
 	 */
-function promiseKML(area_id, client, queries, newPlacemark, styles) {
+function promiseKML(client, queries, newPlacemark, styles, lang) {
 	/**
 		 * Decomposes the warnings as supplied by the database;
 		 * Creates HTML tables
@@ -513,14 +314,14 @@ function promiseKML(area_id, client, queries, newPlacemark, styles) {
 				))
 			);
 
-			const concerns = toChecklist('red-x')(warnings.Concern);
-			const risks = toChecklist('green-check')(warnings['Managing risk']);
+			const concerns = toChecklist('red-x')(warnings.concern);
+			const risks = toChecklist('green-check')(warnings['managing-risk']);
 
-			return `<table class="orange-table"><tbody><tr><th class="first">Concern</th></tr>${concerns}</tr><tr><tr><th>Managing risk</th></tr>${risks}<tr></tbody></table>`;
+			return `<table class="orange-table"><tbody><tr><th class="first">${labels.concern[lang]}</th></tr>${concerns}</tr><tr><tr><th>${labels.managingRisk[lang]}</th></tr>${risks}<tr></tbody></table>`;
 		};
 
 		const warningsPopup = table => (
-			`<meta http-equiv="Content-Type" content="text/html; charset=iso-8859-1"><style type="text/css"><!--.orange-table {border: 1px solid black; background-color: #FFC000; font-size:9.0pt; padding: 10px 0; width: 333px;} .orange-table td, th { padding: 2px 10px; } .orange-table th { font-weight: bold; border-top: 1px solid black; text-align: left; } .orange-table th.first { border: none; } .green-check { color:#008A00; font-size:larger; display: block; float: left; padding-right: 4px; } .red-x { color: red; font-size: larger; display: block; float: left; padding-right: 4px; } --></style>${table}`
+			`<meta http-equiv="Content-Type" content="text/html; charset=utf-8"><style type="text/css"><!--.orange-table {border: 1px solid black; background-color: #FFC000; font-size:9.0pt; padding: 10px 0; width: 333px;} .orange-table td, th { padding: 2px 10px; } .orange-table th { font-weight: bold; border-top: 1px solid black; text-align: left; } .orange-table th.first { border: none; } .green-check { color:#008A00; font-size:larger; display: block; float: left; padding-right: 4px; } .red-x { color: red; font-size: larger; display: block; float: left; padding-right: 4px; } --></style>${table}`
 		);
 
 		const htmlify = _.compose(
@@ -528,52 +329,45 @@ function promiseKML(area_id, client, queries, newPlacemark, styles) {
 			warningsTable
 		);
 
-		/**
-			 * Takes the warning parts of the warnings and wraps them in an HTML table
-			 * @returns {string} an HTML table , following the google style guide
-			 */
-		const getGeometries = _.compose(
-			_.uniq,
-			_.map(_.compose(
-				_.prop('coordinates'),
-				_.head,
-				_.prop('Point'),
-				_.prop('geometry')
-			))
+		const escapeHtml = text => text
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;');
+
+		const commentsAbove = (comments, popup) => (
+			comments ? popup.replace('<table', `<p>${escapeHtml(comments)}</p><table`) : popup
 		);
 
 		const rows = wrappedRows.rows;
+		const ids = _.uniq(rows.map(_.prop('id')));
+		const byId = _.groupBy(_.prop('id'), rows);
 
-		const geometries = getGeometries(rows);
+		// A placemark per decision point, going by its id, so points that share a spot stay apart
+		return ids.map(id => {
+			const warnings = {
+				'managing-risk': [],
+				concern: []
+			};
+			byId[id]
+				.filter(r => r.type)
+				.forEach(r => {
+					if (warningType(r.type) in warnings) {
+						warnings[warningType(r.type)].push(r.warning);
+					} else {
+						console.error(`decision point ${id} has a warning of unknown type ${r.type}`);
+					}
+				});
 
-		const warnings = {};
-		geometries.forEach(g => {
-			warnings[g] = {
-				'Managing risk': [],
-				Concern: []
+			const first = byId[id][0];
+			return {
+				geometry: first.geometry,
+				id,
+				name: first.name || labels.decisionPoint[lang],
+				description: commentsAbove(first.comments, htmlify(warnings)),
+				warnings,
+				table: 'decision_points'
 			};
 		});
-		rows.forEach(r => {
-			try {
-				const coordinates = r.geometry.Point[0].coordinates;
-				warnings[coordinates][r.type].push(r.warning);
-			} catch (error) {
-				console.error(error.stack);
-			}
-		});
-		// Decompose the rows into their geometries and collect the unique ones
-		const rowsOut = geometries.map(geom => ({
-			geometry: {
-				Point: [
-					{coordinates: geom}
-				]
-			},
-			name: 'Decision Point',
-			// TODO comments:
-			description: htmlify(warnings[geom]),
-			table: 'decision_points'
-		}));
-		return rowsOut;
 	}
 
 	const newDocument = (name, folders, styles) => {
@@ -603,12 +397,12 @@ function promiseKML(area_id, client, queries, newPlacemark, styles) {
 		const folders = [];
 		let doc_name = '';
 
-		const queryPromises = queries.map(query => KML_query_database(query, area_id, client, newPlacemark));
+		const queryPromises = queries.map(query => KML_query_database(query, client, newPlacemark));
 		Promise.all(queryPromises).then(values => {
 			values.forEach(wrapped_querys_rows => {
 				trace(wrapped_querys_rows.table);
 				if (wrapped_querys_rows.table === 'areas_vw') {
-					doc_name = wrapped_querys_rows.rows[0][1].name;
+					doc_name = wrapped_querys_rows.rows.map(placemark => placemark[1].name).join(', ');
 				} else if (wrapped_querys_rows.table === 'decision_points') {
 					const wrapped_warnified_rows = warnify(wrapped_querys_rows);
 					wrapped_querys_rows.rows = wrapped_warnified_rows.map(newPlacemark);
@@ -618,62 +412,52 @@ function promiseKML(area_id, client, queries, newPlacemark, styles) {
 					newFolder(wrapped_querys_rows.name, wrapped_querys_rows.rows)
 				);
 			});
-			const KML_doc = newDocument(doc_name, folders, styles);
+			const KML_doc = newDocument(doc_name || labels.document[lang], folders, styles);
 			resolve(KML_doc);
 		}).catch(reject);
 	});
 }
 
 /**
-	 * @param {number} area_id			 -- id of the area whose features you want to query.
+	 * @param {AreaFilter} filter		 -- which areas' features you want to query.
 	 * @param {string} lang					-- either 'en' (English) or 'fr' (French).
 	 * @param {number} icon_number	 -- either 11 or 15; the number associated with the icons. don't know what it means.
 	 * @param {string} icon_dir_name -- the prefix for the directory that contains the icons.
+	 * @param {string} icon_base_url -- prepended to icon paths; leave it out inside a KMZ, where the icons sit next to doc.kml.
+	 * @param {string} theme				 -- whose colours and line widths, see themes.json; 'default' if left out.
 	 * contains all the preprocessing necessary to run {promise_KML}
 	 * @returns {Promise} promise_KML
 	 */
-function getKML(area_id, lang, client, icon_number, icon_dir_name) {
+function getKML(filter, lang, client, icon_number, icon_dir_name, icon_base_url, theme) {
 	lang = lang || 'en';
-	const LINE_WIDTH = 3; // For LineStyles, in pixels
+	icon_base_url = icon_base_url || '';
+	theme = theme || 'default';
 	const ICON_DIR = `${icon_dir_name}-${icon_number}`;
 	const ICON_EXT = 'png';
-	const POI_COLOR = '000000ff';
-	const FULL_TRANSPARENT = '00000000';
-	const DP_COLOR = 'ffc107ff';
-
-	const styleUrls = {
-		zones: [
-			'filler for slot 0',
-			'zone_green_style',
-			'zone_blue_style',
-			'zone_black_style'
-		],
-		areas_vw: 'area_styles',
-		access_roads: 'access_road_styles',
-		avalanche_paths: 'avalanche_path_styles',
-		decision_points: 'decision_point_styles',
-		points_of_interest: {
-			Other: 'point_of_interest_other_styles',
-			Parking: 'point_of_interest_parking_styles',
-			'Rescue Cache': 'point_of_interest_rescue_cache_styles',
-			Cabin: 'point_of_interest_cabin_styles',
-			Destination: 'point_of_interest_destination_styles',
-			Lake: 'point_of_interest_lake_styles',
-			Mountain: 'point_of_interest_mountain_styles'
-		}
-	};
 
-	//TODO turn this into OOP
+	const kmlLayers = layersFor('kml');
+
+	// Table to style id, or for layers styled by a property, table to value to style id
+	const styleUrls = _.fromPairs(kmlLayers.map(layer => [
+		layer.table,
+		layer.style.classes ? _.map(_.prop('id'), layer.style.classes) : layer.style.id
+	]));
+
+	// For layers styled by a property, table to value to what that value's called in {lang}
+	const classNames = _.fromPairs(kmlLayers.filter(layer => layer.style.classes).map(layer => [
+		layer.table,
+		_.map(c => c.names[lang], layer.style.classes)
+	]));
+
 	/**
-		 * I had to write an ungodly amount of code to deal with styling
-		 * this function is here to hide all that
+		 * Turns the styles in layers.json into KML
 		 * @returns {Array} returns an array of Style objects
 		 */
 	const dealWithStyling = () => {
-		const newIcon = (icon, color) => ({
+		// The icons are white, so the IconStyle's color is what they're drawn in
+		const newIcon = icon => ({
 			Icon: [
-				{href: `${ICON_DIR}/new-${icon}-${icon_number}.${ICON_EXT}`},
-				// {color}
+				{href: `${icon_base_url}${ICON_DIR}/new-${icon}-${icon_number}.${ICON_EXT}`}
 			]
 		});
 
@@ -682,147 +466,76 @@ function getKML(area_id, lang, client, icon_number, icon_dir_name) {
 			 * @class
 			 */
 		const newStyle = (url, styles, style_type) => {
-			const reverse = s => s.split('').reverse().join('');
-			const basicStyle = (style_type, default_stylings) => {
-				return styles => {
-					// KML uses aabbggrr hex codes, unlike the rest of the civilized world,
-					// which uses rrggbbaa. red green blue alpha/transparency
-					const re_colored_styles = styles.map(s => ('color' in s) ? {color: reverse(s.color)} : s);
-					return {
-						[style_type]: default_stylings.concat(re_colored_styles)
-					};
-				};
-			};
-
-			const style_types = {
-				LineStyle: basicStyle('LineStyle', [{width: LINE_WIDTH}]),
-				PolyStyle: basicStyle('PolyStyle', []),
-				IconStyle: basicStyle('IconStyle', [])
-			};
+			// Byte by byte, so rrggbbaa comes out aabbggrr, not aabbggrr's characters backwards
+			const reverse = s => s.match(/../g).reverse().join('');
+			const KML_COLORS = ['color', 'gx:outerColor'];
+			// KML uses aabbggrr hex codes, unlike the rest of the civilized world,
+			// which uses rrggbbaa. red green blue alpha/transparency
+			const re_colored_styles = styles.map(_.mapObjIndexed((value, key) => (
+				KML_COLORS.includes(key) ? reverse(value) : value
+			)));
 
 			return {
 				Style: [
 					{_attr: {id: url}},
-					style_types[style_type](styles)
+					{[style_type]: re_colored_styles}
 				]
 			};
 		};
 
-		// Any color in here is formatted rrggbbaa
-		// newStyle reverses it for kml
-		const styles = {
-			zones: [
-				newStyle(styleUrls.zones[1], [
-					{color: '55ff0088'} // Green
-				], 'PolyStyle'),
-				newStyle(styleUrls.zones[2], [
-					{color: '0000ff88'} // Blue
-				], 'PolyStyle'),
-				newStyle(styleUrls.zones[3], [
-					{color: '00000088'} // Black
-				], 'PolyStyle')
-			],
-			areas_vw: newStyle(styleUrls.areas_vw, [
-				{color: FULL_TRANSPARENT}
-			], 'PolyStyle'),
-			access_roads: newStyle(styleUrls.access_roads, [
-				{color: 'ffff00ff'}, // Yellow
-				{'gx:outerColor': 'ff00ff00'}, // Green
-				{'gx:outerWidth': LINE_WIDTH + 5} // TODO isn't working but isn't important
-			], 'LineStyle'),
-			avalanche_paths: newStyle(styleUrls.avalanche_paths, [
-				{color: 'ff0000ff'}
-			], 'LineStyle'),
-			decision_points: newStyle(styleUrls.decision_points, [
-				{color: DP_COLOR},
-				newIcon('decision-point-icon', DP_COLOR)
-			], 'IconStyle'),
-			points_of_interest: {
-				Other: newStyle(styleUrls.points_of_interest.Other, [
-					{color: POI_COLOR},
-					newIcon('marker', POI_COLOR)
-				], 'IconStyle'),
-				Parking: newStyle(styleUrls.points_of_interest.Parking, [
-					{color: POI_COLOR},
-					newIcon('parking', POI_COLOR)
-				], 'IconStyle'),
-				'Rescue Cache': newStyle(styleUrls.points_of_interest['Rescue Cache'], [
-					{color: POI_COLOR},
-					newIcon('blood-bank', POI_COLOR)
-				], 'IconStyle'),
-				Cabin: newStyle(styleUrls.points_of_interest.Cabin, [
-					{color: POI_COLOR},
-					newIcon('shelter', POI_COLOR)
-				], 'IconStyle'),
-				Destination: newStyle(styleUrls.points_of_interest.Destination, [
-					{color: POI_COLOR},
-					newIcon('attraction', POI_COLOR)
-				], 'IconStyle'),
-				Lake: newStyle(styleUrls.points_of_interest.Lake, [
-					{color: POI_COLOR},
-					newIcon('water', POI_COLOR)
-				], 'IconStyle'),
-				Mountain: newStyle(styleUrls.points_of_interest.Mountain, [
-					{color: POI_COLOR},
-					newIcon('mountain', POI_COLOR)
-				], 'IconStyle')
+		/**
+			 * Widths in layers.json are pixels, as make-style.js draws them: the line width wide,
+			 * over its casing, outerWidth wide. KML draws the one line, and its gx:outerWidth is
+			 * the fraction of that line's width that's outerColor
+			 * @returns {object} {width, outerWidth}; outerWidth 0 to 1, or undefined without a casing
+			 */
+		const kmlWidths = style => (
+			style.outerWidth > style.width ? {
+				width: style.outerWidth,
+				outerWidth: Number((1 - (style.width / style.outerWidth)).toFixed(3))
 			}
-		};
+			: /* else */ {width: style.width, outerWidth: undefined}
+		);
 
-		const flattenStyles = styles => {
-			const flatStyles = [];
-			_.values(styles).forEach(s => {
-				if (s.Style) {
-					flatStyles.push(s);
-				} else if (Array.isArray(s)) {
-					s.forEach(x => flatStyles.push(x));
-				} else {
-					_.values(s).forEach(x => flatStyles.push(x));
-				}
-			});
-			return flatStyles;
-		};
+		// Any color in layers.json is formatted rrggbbaa
+		// newStyle reverses it for kml
+		const styleElements = style => [].concat(
+			style.width ? [{width: kmlWidths(style).width}] : [],
+			style.color ? [{color: style.color}] : [],
+			style.outerColor ? [{'gx:outerColor': style.outerColor}] : [],
+			kmlWidths(style).outerWidth ? [{'gx:outerWidth': kmlWidths(style).outerWidth}] : [],
+			style.icon ? [newIcon(style.icon)] : []
+		);
 
-		return flattenStyles(styles);
+		return _.chain(layer => stylesOf(layer.style), kmlLayers)
+			.map(themed(theme))
+			.map(style => newStyle(style.id, styleElements(style), style.kind));
 	};
 
 	const stylesForHeader = dealWithStyling();
 
-	const newPlaceMark = style_urls => row => {
-		function extendData(placemark, extension, data) {
-			let extended = 0;
-			let i = 0;
-			for (const obj of placemark) {
-				i++;
-				if ('ExtendedData' in obj) {
-					extended = i;
-					break;
-				}
-			}
-
+	const newPlaceMark = (style_urls, class_names) => row => {
+		// Adds <Data name="{name}"><value>{value}</value></Data>, and the ExtendedData it goes in if there isn't one yet
+		function extendData(placemark, name, value) {
+			const data = {Data: [{_attr: {name}}, {value}]};
+			const extended = placemark.filter(obj => 'ExtendedData' in obj)[0];
 			if (extended) {
-				placemark[extended].push(
-					{[extension]: data}
-				);
+				extended.ExtendedData.push(data);
 			} else {
 				placemark.push({
-					ExtendedData: [
-						{[extension]: data}
-					]
+					ExtendedData: [data]
 				});
 			}
 		}
 
-		function describe(placemark, description) {
-			placemark.push({description});
-		}
-
 		const table = row.table;
 		const geometry = row.geometry;
-		const name = row.name;
-		const comments = row.comments;
 		const class_code = row.class_code;
 		const type = row.type;
+		const className = value => (class_names[table] && class_names[table][value]) || value;
+		// Zones have no name of their own, but their class is something to go on
+		const name = row.name || (class_code ? className(class_code) : undefined);
+		const comments = row.comments;
 		const description = row.description;
 		const warnings = row.warnings;
 		let styleUrl;
@@ -833,21 +546,25 @@ function getKML(area_id, lang, client, icon_number, icon_dir_name) {
 			placemark.push({name});
 		}
 
-		if (comments) {
-			describe(placemark, comments);
-		}
-
-		if (description) {
-			describe(placemark, description);
+		// A Placemark gets one description, so a point of interest's says what it is, then its comments
+		const describedAs = [].concat(
+			type ? [className(type)] : [],
+			comments ? [comments] : [],
+			description ? [description] : []
+		);
+		if (describedAs.length > 0) {
+			placemark.push({description: describedAs.join(': ')});
 		}
 
 		if (type) {
-			describe(placemark, type);
 			styleUrl = style_urls[table][type];
 		}
 
+		// Named like the flat GeoJSON warnings, concern_1, managingRisk_1, ...
 		if (warnings) {
-			extendData(placemark, 'warnings', warnings);
+			_.toPairs(WARNING_NAMES).forEach(([type, dataName]) => {
+				warnings[type].forEach((warning, i) => extendData(placemark, `${dataName}_${i + 1}`, warning));
+			});
 		}
 
 		if (class_code) {
@@ -860,151 +577,323 @@ function getKML(area_id, lang, client, icon_number, icon_dir_name) {
 		return placemark;
 	};
 
-	const newerPlacemark = newPlaceMark(styleUrls);
+	const newerPlacemark = newPlaceMark(styleUrls, classNames);
 
-	const queries = [
-		new Query(
-			'areas_vw',
-			['name'],
-			'id=$1',
-			'KML',
-			lang
-		),
-		new Query(
-			'points_of_interest',
-			['name', 'type', 'comments'],
-			'area_id=$1',
-			'KML',
-			lang
-		),
-		new Query(
-			'access_roads',
-			['description'],
-			'area_id=$1',
-			'KML',
-			lang
-		),
-		new Query(
-			'avalanche_paths',
-			['name'],
-			'area_id=$1',
-			'KML',
-			lang
-		),
-		new JoinQuery(
-			new Query(
-				'decision_points',
-				['name', 'comments'],
-				'area_id=$1',
-				'KML',
-				lang
-			),
-			new Query(
-				'decision_points_warnings',
-				['warning', 'type'],
-				'decision_point_id=$1',
-				undefined,
-				undefined,
-				undefined,
-				undefined,
-				null
-			),
-			'decision_point_id=decision_points.id',
-			'decision_points.area_id = $1'
-		),
-		new Query(
-			'zones',
-			['class_code', 'comments'],
-			'area_id=$1',
-			'KML',
-			lang
-		)
-	];
-
-	return promiseKML(area_id, client, queries, newerPlacemark, stylesForHeader);
+	const queries = queriesFor('kml', 'KML', lang, filter.conditions.bind(filter));
+
+	return promiseKML(client, queries, newerPlacemark, stylesForHeader, lang);
 }
 
 /**
 	 * @param {number} iconNumber		 -- either 11 or 15; the number associated with the icons. don't know what it means.
 	 * @param {string} iconDir				-- the prefix for the directory that contains the icons.
+	 * @param {string} theme					-- whose colours and line widths, see themes.json
 	 * @param {Writable} outputStream -- stream to which the KMZ is written
-	 * @returns {Writable} outputStream, the same one as the input
+	 * @returns {Promise} of outputStream, once the KMZ has all been written to it; rejects if the KML or the zip fails
 	 */
-function makeKMZStream(areaId, lang, outputStream, res, client, iconNumber, iconDir) {
-	const returnIfIn = (v, a) => a.filter(_.equals(v))[0];
+function makeKMZStream(filter, lang, outputStream, res, client, iconNumber, iconDir, theme) {
 	function writeToKmz(kml, output) {
-		const kml_stream = new Readable();
-		kml_stream.push(kml);
-		kml_stream.push(null);
-
-		const archive = archiver('zip', {
-			zlib: {level: 9}
-		});
-		archive.on('warning', err => {
-			if (err.code === 'ENOENT') {
-				console.error(err);
-			} else {
-				throw err;
-			}
-		});
-		archive.on('error', err => {
-			console.error(err);
-			throw err;
-		});
-		archive.pipe(output);
-		archive.append(kml_stream, {name: 'doc.kml'});
+		const archive = newZipArchive(output);
+		archive.append(streamOf(kml), {name: 'doc.kml'});
 		archive.directory(`${iconDir}-${iconNumber}/`, `${iconDir}-${iconNumber}`);
 		archive.finalize();
 		return output;
 	}
 
 	// 11 or 15 are the two valid sizes for icons
-	iconNumber = returnIfIn(iconNumber, [11, 15]) || 11;
-	lang = returnIfIn(lang, ['en','fr']) || 'en';
+	iconNumber = returnIfIn(iconNumber, ICON_SIZES) || 11;
+	lang = returnIfIn(lang, LANGUAGES) || 'en';
 	iconDir = iconDir || 'files';
 
-	return new Promise((resolve, reject) => {
-		getKML(areaId, lang, client, iconNumber, iconDir)
-			.then(kml => {
-				res.attachment(`${kml[0].kml[2].name}.kmz`);
-				writeToKmz(xml(kml), outputStream, iconNumber, iconDir);
-				resolve(outputStream);
-			});
-	});
+	return getKML(filter, lang, client, iconNumber, iconDir, '', theme)
+		.then(kml => new Promise((resolve, reject) => {
+			res.attachment(`${kml[0].kml[2].name}.kmz`);
+			outputStream.on('finish', () => resolve(outputStream));
+			outputStream.on('error', reject);
+			writeToKmz(xml(kml), outputStream, iconNumber, iconDir);
+		}));
 }
 
 const kmlExpressAppWrappyThing = () => {
-	const app = require('express')();
+	const express = require('express');
+	const app = express();
+
+	const config = loadConfig(process.env);
+	const pool = newPool(config, x11Err);
+	const cache = newResponseCache(config.cache);
 
-	const client = new Client(process.env.ATES_CONNECTION_STRING);
+	app.get('/', (req, res) => {
+		res.json(apiIndex());
+	});
+
+	app.get('/openapi.json', (req, res) => {
+		res.json(openApi());
+	});
 
-	client.connect(err => {
-		if (err) {
-			console.error(err);
-			throw err;
+	app.get('/healthz', healthz());
+	app.get('/readyz', readyz(pool));
+
+	/**
+		 * Throws out cached downloads, for every area or just the ones in :areaIds.
+		 * CACHE_INVALIDATION_TOKEN has to come as a bearer token; without one set, nobody can,
+		 * or anyone could have every download queried and zipped all over again, as often as they liked
+		 */
+	const invalidateCache = (req, res, next) => {
+		const token = config.cache.invalidationToken;
+		if (!token) {
+			next(new HttpError(403, 'cache invalidation is off; it needs CACHE_INVALIDATION_TOKEN set'));
+			return;
 		}
 
-		app.get('/', (req, res) => {
-			res.send('help');
-		});
+		if (req.get('Authorization') !== `Bearer ${token}`) {
+			next(new HttpError(401, 'needs the cache invalidation token'));
+			return;
+		}
+
+		const everything = !req.params.areaIds || req.params.areaIds === 'all';
+		const filter = everything ? undefined : parseAreaFilter(req.params.areaIds);
+		if (!everything && !filter) {
+			next(new HttpError(400, 'areas should be comma separated ids, or "all"'));
+			return;
+		}
+
+		cache.invalidate(filter && filter.areaIds)
+			.then(removed => {
+				res.json({removed});
+				x11Log(`cache invalidated for ${req.params.areaIds || 'all'}, ${removed} removed`);
+			})
+			.catch(next);
+	};
+
+	app.delete('/cache', invalidateCache);
+	app.delete('/cache/:areaIds', invalidateCache);
+
+	/**
+		 * @returns {Promise} of the request's {filter: AreaFilter, lang}, or rejects with a 400
+		 */
+	const requestedExport = req => {
+		const filter = parseAreaFilter(req.params.areaIds, req.query.bbox);
+		const lang = returnIfIn(req.params.lang, LANGUAGES);
+		return !filter ? Promise.reject(new HttpError(400, 'areas should be comma separated ids, or "all" with ?bbox=minx,miny,maxx,maxy'))
+			:    !lang ? Promise.reject(new HttpError(400, `no such language as ${req.params.lang}; there's ${LANGUAGES.join(' and ')}`))
+			: /* else */ Promise.resolve({filter, lang});
+	};
+
+	const logRequest = req => _ => {
+		x11Log(
+			JSON.stringify(
+				req.params
+			)
+		);
+	};
 
-		app.get('/:lang/:areaId.kmz', (req, res) => {
-			const areaId = req.params.areaId;
-			const lang = req.params.lang;
-			res.attachment(`${areaId}.kmz`);
-			makeKMZStream(areaId, lang, res, res, client)
-				.then(_ => {
-					x11Log(
-						JSON.stringify(
-							req.params
-						)
-					);
+	/**
+		 * Lists the areas there are, with where to download each; ?name= and ?bbox= narrow it down
+		 */
+	const sendAreas = (req, res, next) => {
+		const lang = returnIfIn(req.params.lang || 'en', LANGUAGES);
+		const name = req.query.name;
+		const bbox = req.query.bbox;
+		const bboxFilter = typeof bbox === 'string' ? parseAreaFilter('all', bbox) : null;
+		const badRequest = !lang ? `no such language as ${req.params.lang}; there's ${LANGUAGES.join(' and ')}`
+			: !(typeof name === 'undefined' || typeof name === 'string') ? 'name should be given once'
+			: !(typeof bbox === 'undefined' || typeof bbox === 'string') ? 'bbox should be given once'
+			: typeof bbox === 'string' && !bboxFilter ? 'bbox should be minx,miny,maxx,maxy'
+			: /*                            else                             */ undefined;
+		if (badRequest) {
+			next(new HttpError(400, badRequest));
+			return;
+		}
+
+		const downloadsOf = area => _.fromPairs(_.keys(FORMATS).map(extension => (
+			[extension, `/${lang}/${area.id}.${extension}`]
+		)));
+
+		listAreas(pool, name, bboxFilter && bboxFilter.bbox)
+			.then(areas => {
+				res.json({
+					areas: areas.map(area => Object.assign(area, {downloads: downloadsOf(area)}))
 				});
-		});
+			})
+			.then(logRequest(req))
+			.catch(next);
+	};
 
-		app.listen(3000, () => {
-			x11Log('express app started');
-		});
+	app.get('/areas', sendAreas);
+	app.get('/:lang/areas', sendAreas);
+
+	/**
+		 * @returns {string} the ?warnings= asked for, json if none was; undefined if it's not one there is
+		 */
+	const requestedWarnings = req => (
+		typeof req.query.warnings === 'undefined' ? 'json' : returnIfIn(req.query.warnings, _.keys(WARNINGS_STYLES))
+	);
+	const warningsBadRequest = `warnings are one of ${_.keys(WARNINGS_STYLES).join(', ')}`;
+
+	// ?simplestyle=true styles features for web maps the way the KML is styled
+	const requestedSimplestyle = req => req.query.simplestyle === 'true';
+
+	// Any layer that goes into GeoJSON can be had a feature at a time
+	const FEATURE_LAYERS = layersFor('geojson').map(_.prop('table'));
+
+	app.get('/:lang/:layer/:id.geojson', (req, res, next) => {
+		const lang = returnIfIn(req.params.lang, LANGUAGES);
+		const layer = returnIfIn(req.params.layer, FEATURE_LAYERS);
+		const id = Number(req.params.id);
+		const warnings = requestedWarnings(req);
+		const badRequest = !lang ? `no such language as ${req.params.lang}; there's ${LANGUAGES.join(' and ')}`
+			:        !layer ? `no such layer as ${req.params.layer}; there's ${FEATURE_LAYERS.join(', ')}`
+			: !Number.isInteger(id) ? 'ids are whole numbers'
+			:     !warnings ? warningsBadRequest
+			: /*         else         */ undefined;
+		if (badRequest) {
+			next(new HttpError(400, badRequest));
+			return;
+		}
+
+		get_feature(layer, id, lang, pool)
+			.then(feature => {
+				if (!feature) {
+					throw new HttpError(404, `no ${layer} with id ${id}`);
+				}
+
+				res.type('application/geo+json');
+				res.send(JSON.stringify(featuresAs(warnings, requestedSimplestyle(req))(feature)));
+			})
+			.then(logRequest(req))
+			.catch(next);
+	});
+
+	app.get('/:lang/:areaIds.kmz', (req, res, next) => {
+		const areaIds = req.params.areaIds;
+		const iconNumber = typeof req.query.icons === 'undefined' ? 11 : returnIfIn(Number(req.query.icons), ICON_SIZES);
+		const theme = typeof req.query.theme === 'undefined' ? 'default' : returnIfIn(req.query.theme, _.keys(themes));
+		const badRequest = !iconNumber ? `icons are either ${ICON_SIZES.join(' or ')}`
+			:         !theme ? `no such theme as ${req.query.theme}; there's ${_.keys(themes).join(', ')}`
+			: /*   else   */ undefined;
+		if (badRequest) {
+			next(new HttpError(400, badRequest));
+			return;
+		}
+
+		requestedExport(req)
+			.then(({filter, lang}) => {
+				const renderKMZ = () => checkAreasExist(filter, pool).then(() => {
+					res.attachment(`${areaIds}.kmz`);
+					return bufferOf(output => makeKMZStream(filter, lang, output, res, pool, iconNumber, 'files', theme));
+				});
+
+				return cache.respond(req, res, ['kmz', lang, filter, iconNumber, theme].join(':'), filter.areaIds, renderKMZ);
+			})
+			.then(logRequest(req))
+			.catch(next);
+	});
+
+	// Plain KML can't carry its icons with it, so they're served from here
+	ICON_SIZES.forEach(iconNumber => {
+		app.use(`/files-${iconNumber}`, express.static(`files-${iconNumber}`));
+	});
+
+	app.get('/:lang/:areaIds.kml', (req, res, next) => {
+		const iconBaseUrl = `${req.protocol}://${req.get('host')}/`;
+		requestedExport(req)
+			.then(({filter, lang}) => checkAreasExist(filter, pool)
+				.then(() => getKML(filter, lang, pool, 11, 'files', iconBaseUrl)))
+			.then(kml => {
+				res.attachment(`${kml[0].kml[2].name}.kml`);
+				res.type('application/vnd.google-earth.kml+xml');
+				res.send(xml(kml, {declaration: true}));
+			})
+			.then(logRequest(req))
+			.catch(next);
+	});
+
+	const sendGeoJson = contentType => (req, res, next) => {
+		const warnings = requestedWarnings(req);
+		const simplestyle = requestedSimplestyle(req);
+		if (!warnings) {
+			next(new HttpError(400, warningsBadRequest));
+			return;
+		}
+
+		requestedExport(req)
+			.then(({filter, lang}) => {
+				if (req.query.stream === 'true') {
+					// Nothing's written until the areas are known to be there; after that, sendError can only cut it short
+					return checkAreasExist(filter, pool).then(() => {
+						res.type(contentType);
+						// A cursor has to have a connection to itself
+						return withClient(pool, client => stream_geojson(filter, lang, client, res, featuresAs(warnings, simplestyle)));
+					});
+				}
+
+				const renderGeoJson = () => checkAreasExist(filter, pool)
+					.then(() => get_geojson(filter, lang, pool))
+					.then(geoJsonDoc => {
+						geoJsonDoc.features = geoJsonDoc.features.map(featuresAs(warnings, simplestyle));
+						res.type(contentType);
+						return JSON.stringify(geoJsonDoc);
+					});
+
+				return cache.respond(req, res, [contentType, lang, filter, warnings, simplestyle].join(':'), filter.areaIds, renderGeoJson);
+			})
+			.then(logRequest(req))
+			.catch(next);
+	};
+
+	app.get('/:lang/:areaIds.geojson', sendGeoJson('application/geo+json'));
+	app.get('/:lang/:areaIds.json', sendGeoJson('application/json'));
+
+	app.get('/:lang/:areaIds.gpx', (req, res, next) => {
+		const areaIds = req.params.areaIds;
+		requestedExport(req)
+			.then(({filter, lang}) => checkAreasExist(filter, pool)
+				.then(() => get_geojson(filter, lang, pool, 'gpx'))
+				.then(geoJsonDoc => geoJsonToGPX(geoJsonDoc, lang)))
+			.then(gpxDoc => {
+				const gpx = xml(gpxDoc, {declaration: true});
+				res.attachment(`${areaIds}.gpx`);
+				res.type('application/gpx+xml');
+				res.send(gpx);
+			})
+			.then(logRequest(req))
+			.catch(next);
+	});
+
+	app.get('/:lang/:areaIds.shp.zip', (req, res, next) => {
+		const areaIds = req.params.areaIds;
+		requestedExport(req)
+			.then(({filter, lang}) => checkAreasExist(filter, pool)
+				.then(() => get_geojson(filter, lang, pool, 'shapefile')))
+			// Zipped up front, so a failure can still be answered properly
+			.then(geoJsonDoc => bufferOf(output => makeShapefileZipStream(geoJsonDoc, output)))
+			.then(zipped => {
+				res.attachment(`${areaIds}.shp.zip`);
+				res.send(zipped);
+			})
+			.then(logRequest(req))
+			.catch(next);
+	});
+
+	app.get('/:lang/:areaIds.gpkg', (req, res, next) => {
+		const areaIds = req.params.areaIds;
+		requestedExport(req)
+			.then(({filter, lang}) => checkAreasExist(filter, pool)
+				.then(() => get_geojson(filter, lang, pool, 'geopackage')))
+			.then(makeGeoPackage)
+			.then(geoPackage => {
+				res.attachment(`${areaIds}.gpkg`);
+				res.type('application/geopackage+sqlite3');
+				res.send(geoPackage);
+			})
+			.then(logRequest(req))
+			.catch(next);
+	});
+
+	app.use(sendError(x11Err));
+
+	app.listen(config.port, config.host, () => {
+		x11Log(`express app started on ${config.host || '*'}:${config.port}`);
 	});
 };
 
@@ -0,0 +1,260 @@
+'use strict';
+
+const _ = require('ramda');
+const styleOf = require('./layers').styleOf;
+const cssColor = require('./layers').cssColor;
+const readInBatches = require('./cursor').readInBatches;
+const writeChunk = require('./cursor').writeChunk;
+
+/**
+	 * @param {object} geometry -- GeoJSON geometry
+	 * @returns {Array} every position in it, however deeply nested
+	 */
+const positionsOf = geometry => {
+	const flattenPositions = c => (typeof c[0] === 'number' ? [c] : _.chain(flattenPositions, c));
+	return flattenPositions(geometry.coordinates);
+};
+
+/**
+	 * @param {Array} positions -- [x, y]s, eg a geometry's positionsOf
+	 * @returns {Array} [minx, miny, maxx, maxy]
+	 */
+const bboxOf = positions => [
+	Math.min(...positions.map(p => p[0])),
+	Math.min(...positions.map(p => p[1])),
+	Math.max(...positions.map(p => p[0])),
+	Math.max(...positions.map(p => p[1]))
+];
+
+/**
+	 * @param {string} type -- a warning's type as the database has it, eg 'Managing risk'
+	 * @returns {string} the type as features have it, eg 'managing-risk'
+	 */
+const warningType = type => type.toLowerCase().replace(' ', '-');
+
+/**
+	 * @param {JSON} geometry - GeoJSON geometry object
+	 * @param {string} feature_type	- the table the feature came from
+	 * @param {object} properties		- properties associated with feature. Every column pulled from the table that isn't geometry.
+	 */
+function Feature(geometry, feature_type, properties) {
+	this.type = 'Feature';
+	try {
+		this.geometry = JSON.parse(geometry);
+	} catch (error) {
+		console.error('is one of your queries returning KML?');
+		console.error(this.geometry);
+		console.error(error.stack);
+		throw new TypeError('geometry isn\'t geojson');
+	}
+
+	if ('bounding_box' in properties) {
+		this.bounding_box = properties.bounding_box;
+		delete properties.bounding_box;
+	}
+
+	// A decision point without warnings has a null type
+	if (typeof properties.type === 'string') {
+		properties.type = warningType(properties.type);
+	}
+
+	this.properties = properties;
+	this.properties.table = feature_type;
+}
+
+/**
+	 * @param {Array} features - list of the features collected
+	 */
+function FeatureCollection(features)	{
+	this.type = 'FeatureCollection';
+	this.features = features;
+}
+
+/**
+	 * @param {string} table -- the table the row came from
+	 * @returns {function} row => {Feature}
+	 */
+const rowToFeature = table => row => (
+	new Feature(
+		row.geometry,
+		table,
+		_.omit(['geometry'], row)
+	)
+);
+
+/**
+	 * The database gives back a row per warning; this folds them into a feature per decision point,
+	 * going by its id, so points that share a spot stay apart and each keeps its own name and comments
+	 * @param {Array} features -- a {Feature} per row of decision_points joined to decision_points_warnings
+	 * @returns {Array} a {Feature} per decision point, its warnings in the order they came;
+	 * the query sorts by decision point and warning id (orderBy in layers.json), so that's the same every time
+	 */
+function warnify(features) {
+	const flatten_warnings = JSON.stringify;
+
+	const ids = _.uniq(features.map(f => f.properties.id));
+	const byId = _.groupBy(f => f.properties.id, features);
+
+	return ids.map(id => {
+		const rows = byId[id];
+		const warnings = {
+			'managing-risk': [],
+			concern: []
+		};
+		rows
+			.filter(r => r.properties.type !== null && typeof r.properties.type !== 'undefined')
+			.forEach(r => {
+				if (r.properties.type in warnings) {
+					warnings[r.properties.type].push(r.properties.warning);
+				} else {
+					console.error(`decision point ${id} has a warning of unknown type ${r.properties.type}`);
+				}
+			});
+
+		const first = rows[0];
+		return new Feature(
+			JSON.stringify(first.geometry),
+			'decision_points',
+			Object.assign(
+				{warnings: flatten_warnings(warnings)},
+				_.omit(['warning', 'type', 'table'], first.properties)
+			)
+		);
+	});
+}
+
+// Warning types (as warningType has them) as they're keyed once they're properties of their own,
+// and in labels.json; the KML, GPX and shapefile name them after these too
+const WARNING_NAMES = {
+	concern: 'concern',
+	'managing-risk': 'managingRisk'
+};
+
+/** Ways a decision point's warnings can go out, given them parsed:
+	 * json as they are, a JSON string under warnings;
+	 * arrays, as concern: [...] and managingRisk: [...];
+	 * flat, as concern_1, concern_2, ..., managingRisk_1, ..., for whatever can't read nested properties
+	 */
+const WARNINGS_STYLES = {
+	json: warnings => ({warnings: JSON.stringify(warnings)}),
+	arrays: warnings => _.fromPairs(_.toPairs(WARNING_NAMES).map(([type, name]) => [name, warnings[type] || []])),
+	flat: warnings => _.fromPairs(_.chain(
+		([type, name]) => (warnings[type] || []).map((warning, i) => [`${name}_${i + 1}`, warning]),
+		_.toPairs(WARNING_NAMES)
+	))
+};
+
+/**
+	 * @param {string} style -- a key of WARNINGS_STYLES
+	 * @returns {function} {Feature} => the same {Feature}, its warnings (if it has any) in {style}
+	 */
+const warningsAs = style => feature => {
+	// json is what warnify makes already
+	if (style === 'json' || typeof feature.properties.warnings !== 'string') {
+		return feature;
+	}
+
+	const warnings = JSON.parse(feature.properties.warnings);
+	feature.properties = Object.assign(
+		_.omit(['warnings'], feature.properties),
+		WARNINGS_STYLES[style](warnings)
+	);
+	return feature;
+};
+
+/** Each kind of KML style, as simplestyle-spec properties
+	 */
+const SIMPLESTYLES = {
+	PolyStyle: style => {
+		const [color, opacity] = cssColor(style.color);
+		return {fill: color, 'fill-opacity': opacity, stroke: color, 'stroke-opacity': opacity};
+	},
+	LineStyle: style => {
+		const [color, opacity] = cssColor(style.color);
+		return {stroke: color, 'stroke-opacity': opacity, 'stroke-width': style.width};
+	},
+	IconStyle: style => ({
+		'marker-color': cssColor(style.color)[0],
+		'marker-symbol': style.icon
+	})
+};
+
+/**
+	 * Gives a feature the same colours and icons its KML placemark would have, as simplestyle-spec properties
+	 * (fill, stroke, marker-symbol, marker-color and so on), so web maps needn't know the ATES colour scheme
+	 * @param {Feature} feature
+	 * @returns {Feature} the same {Feature}, styled if layers.json has a style for it
+	 */
+const withSimplestyle = feature => {
+	const style = styleOf(feature.properties.table, feature.properties);
+	if (style && style.kind in SIMPLESTYLES) {
+		Object.assign(feature.properties, _.reject(_.isNil, SIMPLESTYLES[style.kind](style)));
+	}
+
+	return feature;
+};
+
+/**
+	 * Reads a query's rows through a cursor, handing them on as features a batch at a time.
+	 * Decision points come a row per warning, so those are all collected and warnified first.
+	 * @param {Client}	 client
+	 * @param {Query}		queryObject
+	 * @param {function} onFeatures -- called with each batch of {Feature}s; can return a promise to hold up the next batch
+	 * @returns {Promise} resolves once every feature has been handed on
+	 */
+function forEachFeatureBatch(client, queryObject, onFeatures) {
+	const toFeatures = _.map(rowToFeature(queryObject.table));
+
+	if (queryObject.table !== 'decision_points') {
+		return readInBatches(client, queryObject, rows => onFeatures(toFeatures(rows)));
+	}
+
+	const collected = [];
+	return readInBatches(client, queryObject, rows => {
+		toFeatures(rows).forEach(feature => collected.push(feature));
+	}).then(() => (collected.length > 0 ? onFeatures(warnify(collected)) : undefined));
+}
+
+/**
+	 * Writes a {FeatureCollection} out as its features come from the database,
+	 * instead of holding all of them in memory first
+	 * @param {Client}	 client
+	 * @param {Array}		queries -- {Query}s, read one after the other
+	 * @param {Writable} output	-- ended once the collection is written
+	 * @param {function} mapFeature -- {Feature} => {Feature}, done to each before it's written; warningsAs, say
+	 * @returns {Promise} resolves once it's all been written
+	 */
+function streamFeatureCollection(client, queries, output, mapFeature) {
+	const prepare = mapFeature || _.identity;
+	let separator = '';
+	const writeFeatures = features => {
+		const chunk = separator + features.map(f => JSON.stringify(prepare(f))).join(',');
+		separator = ',';
+		return writeChunk(output, chunk);
+	};
+
+	const streamQueries = () => queries.reduce(
+		(previous, query) => previous.then(() => forEachFeatureBatch(client, query, writeFeatures)),
+		Promise.resolve()
+	);
+
+	return writeChunk(output, '{"type":"FeatureCollection","features":[')
+		.then(streamQueries)
+		.then(() => output.end(']}'));
+}
+
+module.exports = {
+	positionsOf,
+	bboxOf,
+	Feature,
+	FeatureCollection,
+	rowToFeature,
+	warnify,
+	warningType,
+	WARNING_NAMES,
+	WARNINGS_STYLES,
+	warningsAs,
+	withSimplestyle,
+	forEachFeatureBatch,
+	streamFeatureCollection
+};
@@ -0,0 +1,218 @@
+'use strict';
+
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const wkx = require('wkx');
+const _ = require('ramda');
+const quoteIdentifier = require('./sql').quoteIdentifier;
+const positionsOf = require('./geojson').positionsOf;
+const bboxOf = require('./geojson').bboxOf;
+
+const SRS_ID = 4326;
+const WARNINGS_TABLE = 'decision_points_warnings';
+
+/** the three rows every GeoPackage has to have in gpkg_spatial_ref_sys
+	 */
+const SPATIAL_REF_SYS = [
+	['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system'],
+	['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system'],
+	['WGS 84 geodetic', SRS_ID, 'EPSG', SRS_ID, 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]', 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid']
+];
+
+const SCHEMA = `
+	PRAGMA application_id = 1196444487;
+	PRAGMA user_version = 10200;
+	CREATE TABLE gpkg_spatial_ref_sys (
+		srs_name TEXT NOT NULL,
+		srs_id INTEGER NOT NULL PRIMARY KEY,
+		organization TEXT NOT NULL,
+		organization_coordsys_id INTEGER NOT NULL,
+		definition TEXT NOT NULL,
+		description TEXT
+	);
+	CREATE TABLE gpkg_contents (
+		table_name TEXT NOT NULL PRIMARY KEY,
+		data_type TEXT NOT NULL,
+		identifier TEXT UNIQUE,
+		description TEXT DEFAULT '',
+		last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+		min_x DOUBLE,
+		min_y DOUBLE,
+		max_x DOUBLE,
+		max_y DOUBLE,
+		srs_id INTEGER,
+		CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
+	);
+	CREATE TABLE gpkg_geometry_columns (
+		table_name TEXT NOT NULL,
+		column_name TEXT NOT NULL,
+		geometry_type_name TEXT NOT NULL,
+		srs_id INTEGER NOT NULL,
+		z TINYINT NOT NULL,
+		m TINYINT NOT NULL,
+		CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+		CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+		CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id)
+	);
+`;
+
+/**
+	 * GeoPackage geometries are WKB behind a little header with the srs and the envelope
+	 * @param {object} geometry -- GeoJSON geometry
+	 * @returns {Buffer} a GeoPackageBinary blob
+	 */
+function geoPackageBinary(geometry) {
+	const envelope = bboxOf(positionsOf(geometry));
+	const header = Buffer.alloc(8 + (8 * 4));
+	header.write('GP', 0, 'ascii');
+	header.writeUInt8(0, 2); // Version 1
+	header.writeUInt8(0b00000011, 3); // Little endian, envelope is [minx, maxx, miny, maxy]
+	header.writeInt32LE(SRS_ID, 4);
+	[envelope[0], envelope[2], envelope[1], envelope[3]]
+		.forEach((bound, i) => header.writeDoubleLE(bound, 8 + (i * 8)));
+	return Buffer.concat([header, wkx.Geometry.parseGeoJSON(geometry).toWkb()]);
+}
+
+/**
+	 * @param {Array} values -- every value in a column
+	 * @returns {string} the SQLite type that fits all of them
+	 */
+const columnType = values => {
+	const present = values.filter(v => v !== null && typeof v !== 'undefined');
+	return present.length > 0 && present.every(Number.isInteger) ? 'INTEGER'
+		: present.length > 0 && present.every(v => typeof v === 'number') ? 'REAL'
+		: /*                          else                                 */ 'TEXT';
+};
+
+/**
+	 * Decision points carry their warnings JSON-encoded; pull them out into rows
+	 * @returns {Array} [type, warning] pairs
+	 */
+const warningsOf = warnings => {
+	const parsed = typeof warnings === 'string' ? JSON.parse(warnings) : warnings;
+	return _.chain(
+		([type, list]) => list.map(warning => [type, warning]),
+		_.toPairs(parsed)
+	);
+};
+
+/**
+	 * @param {Database} db -- sql.js database
+	 * @param {string} table -- the ATES table the features came from
+	 * @param {Array} features -- GeoJSON features from that table
+	 */
+function writeFeatureTable(db, table, features) {
+	const geometryTypes = _.uniq(features.map(f => f.geometry.type.toUpperCase()));
+	const geometryType = geometryTypes.length === 1 ? geometryTypes[0] : 'GEOMETRY';
+
+	const withoutBookkeeping = _.omit(['table', 'warnings', 'id']);
+	const columns = _.uniq(_.chain(f => _.keys(withoutBookkeeping(f.properties)), features));
+	const columnDefinitions = columns.map(column => (
+		`${quoteIdentifier(column)} ${columnType(features.map(f => f.properties[column]))}`
+	));
+
+	db.run(`CREATE TABLE ${quoteIdentifier(table)} (${[
+		'fid INTEGER PRIMARY KEY AUTOINCREMENT',
+		`geom ${geometryType}`
+	].concat(columnDefinitions).join(', ')});`);
+
+	const insert = db.prepare(`INSERT INTO ${quoteIdentifier(table)} (${
+		['fid', 'geom'].concat(columns).map(quoteIdentifier).join(', ')
+	}) VALUES (${['fid', 'geom'].concat(columns).map(_ => '?').join(', ')});`);
+	features.forEach(f => {
+		const fid = Number.isInteger(f.properties.id) ? f.properties.id : null;
+		const values = columns.map(column => {
+			const value = f.properties[column];
+			return (value === null || typeof value === 'undefined') ? null
+				: typeof value === 'object' ? JSON.stringify(value)
+				: /*       else           */ value;
+		});
+		insert.run([fid, geoPackageBinary(f.geometry)].concat(values));
+	});
+	insert.free();
+
+	const envelope = bboxOf(_.chain(f => positionsOf(f.geometry), features));
+	db.run(
+		'INSERT INTO gpkg_contents (table_name, data_type, identifier, min_x, min_y, max_x, max_y, srs_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?);',
+		[table, 'features', table].concat(envelope, [SRS_ID])
+	);
+	db.run(
+		'INSERT INTO gpkg_geometry_columns (table_name, column_name, geometry_type_name, srs_id, z, m) VALUES (?, ?, ?, ?, 0, 0);',
+		[table, 'geom', geometryType, SRS_ID]
+	);
+}
+
+/**
+	 * @param {Database} db -- sql.js database, which already has a decision_points table
+	 * @param {Array} features -- the decision point features
+	 */
+function writeWarningsTable(db, features) {
+	db.run(`CREATE TABLE ${quoteIdentifier(WARNINGS_TABLE)} (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		decision_point_id INTEGER NOT NULL REFERENCES decision_points(fid),
+		type TEXT NOT NULL,
+		warning TEXT
+	);`);
+
+	const insert = db.prepare(`INSERT INTO ${quoteIdentifier(WARNINGS_TABLE)} (decision_point_id, type, warning) VALUES (?, ?, ?);`);
+	features
+		.filter(f => f.properties.warnings)
+		.forEach(f => {
+			warningsOf(f.properties.warnings).forEach(([type, warning]) => {
+				insert.run([f.properties.id, type, warning]);
+			});
+		});
+	insert.free();
+
+	db.run(
+		'INSERT INTO gpkg_contents (table_name, data_type, identifier, description) VALUES (?, ?, ?, ?);',
+		[WARNINGS_TABLE, 'attributes', WARNINGS_TABLE, 'warnings for each decision point, by decision_point_id']
+	);
+}
+
+/**
+	 * @param {FeatureCollection} featureCollection -- as made by promiseOfGeoJson
+	 * @returns {Promise} promise of the GeoPackage, as a Buffer
+	 */
+function makeGeoPackage(featureCollection) {
+	return initSqlJs().then(SQL => {
+		const db = new SQL.Database();
+		db.exec(SCHEMA);
+		SPATIAL_REF_SYS.forEach(srs => {
+			db.run('INSERT INTO gpkg_spatial_ref_sys (srs_name, srs_id, organization, organization_coordsys_id, definition, description) VALUES (?, ?, ?, ?, ?, ?);', srs);
+		});
+
+		const byTable = _.groupBy(
+			f => f.properties.table,
+			featureCollection.features.filter(f => f.geometry)
+		);
+		_.toPairs(byTable).forEach(([table, features]) => writeFeatureTable(db, table, features));
+
+		if (byTable.decision_points) {
+			writeWarningsTable(db, byTable.decision_points);
+		}
+
+		const geoPackage = Buffer.from(db.export());
+		db.close();
+		return geoPackage;
+	});
+}
+
+module.exports = {
+	makeGeoPackage
+};
+
+/*
+	 * node src/geopackage.js area.geojson area.gpkg
+	 * turns a FeatureCollection saved from /:lang/:areaId.geojson into a GeoPackage,
+	 * no database required
+	 */
+if (require.main === module) {
+	const [inFile, outFile] = process.argv.slice(2);
+	makeGeoPackage(JSON.parse(fs.readFileSync(inFile, 'utf8')))
+		.then(geoPackage => fs.writeFileSync(outFile, geoPackage))
+		.catch(error => {
+			console.error(error.stack);
+			process.exitCode = 1;
+		});
+}
@@ -0,0 +1,120 @@
+'use strict';
+
+const _ = require('ramda');
+const labels = require('./labels.json');
+const layerOf = require('./layers').layerOf;
+const WARNING_NAMES = require('./geojson').WARNING_NAMES;
+
+/**
+	 * @param {Array} position -- a GeoJSON position, [lon, lat]
+	 * @returns {object} the attributes GPX wants on a point
+	 */
+const latLon = position => ({_attr: {lat: position[1], lon: position[0]}});
+
+/**
+	 * Folds a decision point's warnings into lines of text
+	 * @param {string} warnings -- warnings as promiseOfGeoJson's warnify leaves them, JSON-encoded
+	 * @param {string} lang -- 'en' or 'fr'
+	 * @returns {Array} of strings, one per warning type
+	 */
+const describeWarnings = (warnings, lang) => {
+	const parsed = typeof warnings === 'string' ? JSON.parse(warnings) : warnings;
+	return _.keys(WARNING_NAMES)
+		.filter(type => parsed[type] && parsed[type].length > 0)
+		.map(type => `${labels[WARNING_NAMES[type]][lang]}: ${parsed[type].join('; ')}`);
+};
+
+/**
+	 * @param {object} properties -- properties of a GeoJSON feature
+	 * @param {string} lang -- 'en' or 'fr'
+	 * @returns {Array} name and desc elements, whichever the feature has
+	 */
+const describe = (properties, lang) => {
+	const lines = [].concat(
+		properties.comments ? [properties.comments] : [],
+		properties.description ? [properties.description] : [],
+		properties.warnings ? describeWarnings(properties.warnings, lang) : []
+	);
+	return [].concat(
+		properties.name ? [{name: properties.name}] : [],
+		lines.length > 0 ? [{desc: lines.join('\n')}] : []
+	);
+};
+
+/**
+	 * LineStrings have one set of positions, MultiLineStrings have several
+	 * @returns {Array} an array of arrays of positions
+	 */
+const lineParts = geometry => (
+	geometry.type === 'MultiLineString' ? geometry.coordinates
+	: /*          else                */ [geometry.coordinates]
+);
+
+const newWaypoint = (feature, lang) => [{
+	wpt: [latLon(feature.geometry.coordinates)].concat(
+		describe(feature.properties, lang),
+		feature.properties.type ? [{type: feature.properties.type}] : []
+	)
+}];
+
+// A route has no segments, so an access road in several parts is a route per part;
+// joined up, a GPS would draw a road between them where there isn't one
+const newRoute = (feature, lang) => lineParts(feature.geometry).map(part => ({
+	rte: describe(feature.properties, lang).concat(
+		part.map(position => ({rtept: [latLon(position)]}))
+	)
+}));
+
+const newTrack = (feature, lang) => [{
+	trk: describe(feature.properties, lang).concat(
+		lineParts(feature.geometry).map(part => ({
+			trkseg: part.map(position => ({trkpt: [latLon(position)]}))
+		}))
+	)
+}];
+
+// Each GPX element type, as (feature, lang) => the elements a feature becomes
+const newElement = {
+	wpt: newWaypoint,
+	rte: newRoute,
+	trk: newTrack
+};
+
+/**
+	 * @param {FeatureCollection} featureCollection -- as made by promiseOfGeoJson
+	 * @param {string} lang -- what language the descriptions are in, 'en' (the default) or 'fr'
+	 * @returns {Array} a GPX document, ready for require('xml')
+	 */
+function geoJsonToGPX(featureCollection, lang) {
+	lang = lang || 'en';
+	const features = featureCollection.features;
+	// Which GPX element each layer's features become is its gpxElement in layers.json; one without is left out
+	const elementOf = feature => (layerOf(feature.properties.table) || {}).gpxElement;
+
+	const areaNames = features
+		.filter(f => f.properties.table === 'areas_vw')
+		.map(f => f.properties.name);
+
+	// GPX insists on every wpt, then every rte, then every trk
+	const elements = _.unnest(
+		['wpt', 'rte', 'trk'].map(elementType => _.chain(
+			feature => newElement[elementType](feature, lang),
+			features.filter(f => elementOf(f) === elementType)
+		))
+	);
+
+	return [{
+		gpx: [
+			{_attr: {
+				version: '1.1',
+				creator: 'database2ogr',
+				xmlns: 'http://www.topografix.com/GPX/1/1'
+			}},
+			{metadata: [{name: areaNames.join(', ')}]}
+		].concat(elements)
+	}];
+}
+
+module.exports = {
+	geoJsonToGPX
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const fs = require('fs');
+
+// Longer than this and the check counts as failed; a load balancer won't wait forever either
+const CHECK_TIMEOUT = 5000;
+
+const ICON_DIRECTORIES = ['files-11', 'files-15'];
+
+/**
+	 * @param {Promise} promise
+	 * @returns {Promise} of {ok: true}, or {ok: false, error} if {promise} rejects or takes too long
+	 */
+const checked = promise => {
+	let timer;
+	const timeout = new Promise((resolve, reject) => {
+		timer = setTimeout(() => reject(new Error(`no answer after ${CHECK_TIMEOUT}ms`)), CHECK_TIMEOUT);
+	});
+
+	return Promise.race([promise, timeout])
+		.then(() => ({ok: true}), error => ({ok: false, error: error.message}))
+		.then(result => {
+			clearTimeout(timer);
+			return result;
+		});
+};
+
+/**
+	 * @param {string} directory
+	 * @returns {Promise} rejects unless {directory} is there and is a directory
+	 */
+const directoryExists = directory => fs.promises.stat(directory).then(stats => {
+	if (!stats.isDirectory()) {
+		throw new Error(`${directory} isn't a directory`);
+	}
+});
+
+/**
+	 * Liveness: if this answers, the process is up
+	 * @returns {function} express handler
+	 */
+const healthz = () => (req, res) => {
+	res.json({
+		status: 'ok',
+		uptime: process.uptime()
+	});
+};
+
+/**
+	 * Readiness: the database answers and the icons are there to be zipped up.
+	 * 200 if everything's fine, 503 if anything isn't, with what was checked either way.
+	 * @param {Pool} pool -- what the exports query through
+	 * @returns {function} express handler
+	 */
+const readyz = pool => (req, res) => {
+	const checks = [['database', checked(pool.query('SELECT 1'))]].concat(
+		ICON_DIRECTORIES.map(directory => [directory, checked(directoryExists(directory))])
+	);
+
+	Promise.all(checks.map(([_name, check]) => check)).then(results => {
+		const ready = results.every(result => result.ok);
+		const named = {};
+		checks.forEach(([name], i) => {
+			named[name] = results[i];
+		});
+
+		res.status(ready ? 200 : 503).json({
+			status: ready ? 'ready' : 'not ready',
+			checks: named
+		});
+	});
+};
+
+module.exports = {
+	healthz,
+	readyz
+};
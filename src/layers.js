@@ -0,0 +1,114 @@
+'use strict';
+
+const _ = require('ramda');
+const Query = require('./sql').Query;
+const JoinQuery = require('./sql').JoinQuery;
+const layers = require('./layers.json').layers;
+const themes = require('./themes.json').themes;
+
+/**
+	 * @param {string} output -- eg 'kml', 'geojson', 'tiles'; see "outputs" in layers.json
+	 * @returns {Array} the layers that go into that output, in order
+	 */
+const layersFor = output => layers.filter(layer => layer.outputs.includes(output));
+
+/**
+	 * @param {string} table
+	 * @returns {object} the layer for {table}
+	 */
+const layerOf = table => layers.filter(layer => layer.table === table)[0];
+
+/**
+	 * @param {object} style -- a layer's style, styled by a property
+	 * @param {string} value -- one of the property's values, a key of style.classes
+	 * @returns {object} the concrete style for that value, with what it inherits from the layer filled in
+	 */
+const classStyle = (style, value) => _.merge(_.omit(['property', 'classes'], style), style.classes[value]);
+
+/**
+	 * @param {object} style -- a layer's style, from layers.json
+	 * @returns {Array} every concrete style in it, with what it inherits from the layer filled in
+	 */
+const stylesOf = style => (
+	style.classes ? _.keys(style.classes).map(value => classStyle(style, value))
+	: /* else */ [style]
+);
+
+/**
+	 * @param {string} color -- rrggbbaa, as in layers.json
+	 * @returns {Array} ['#rrggbb', opacity from 0 to 1], for web maps
+	 */
+const cssColor = color => [`#${color.slice(0, 6)}`, Number((Number.parseInt(color.slice(6, 8), 16) / 255).toFixed(2))];
+
+/**
+	 * Themes are by style id, and only say what's different from layers.json; default is layers.json as it is
+	 * @param {string} theme -- a key of themes.json's themes
+	 * @returns {function} concrete style => the style in {theme}'s colours and widths
+	 */
+const themed = theme => style => Object.assign({}, style, themes[theme][style.id]);
+
+// GeoJSON features have their type lower cased and hyphenated, so 'Rescue Cache' is 'rescue-cache' by then
+const normalised = value => String(value).toLowerCase().replace(/ /g, '-');
+
+/**
+	 * @param {string} table
+	 * @param {object} properties -- of a feature from {table}, as a row or as GeoJSON
+	 * @returns {object} the concrete style it gets; undefined if its layer has no style that fits it
+	 */
+const styleOf = (table, properties) => {
+	const layer = layerOf(table);
+	const style = layer && layer.style;
+	if (!style || !style.classes) {
+		return style;
+	}
+
+	const value = _.keys(style.classes)
+		.filter(v => normalised(v) === normalised(properties[style.property]))[0];
+	return value ? classStyle(style, value) : undefined;
+};
+
+/**
+	 * @param {object} layer -- from layers.json
+	 * @param {string} ogr_type -- 'KML' or 'GeoJSON'
+	 * @param {string} lang -- 'en' or 'fr'
+	 * @param {Array} conditions -- {Condition}s for the layer's table
+	 * @returns {Query} or a {JoinQuery}, named for the user in {lang}
+	 */
+function queryFor(layer, ogr_type, lang, conditions) {
+	const query = new Query(layer.table, layer.columns, conditions, ogr_type, layer.boundingBox);
+	const named = layer.join ? new JoinQuery(
+		query,
+		new Query(layer.join.table, layer.join.columns, [], ogr_type),
+		[[layer.join.table, layer.join.on[0]], [layer.table, layer.join.on[1]]],
+		conditions,
+		layer.join.orderBy
+	) : query;
+	named.name = layer.names[lang || 'en'];
+	return named;
+}
+
+/**
+	 * @param {string} output -- which output the queries are for
+	 * @param {string} ogr_type -- 'KML' or 'GeoJSON'
+	 * @param {string} lang -- 'en' or 'fr'
+	 * @param {function} conditionsFor -- (table, areaIdColumn) => {Condition}s to filter that table by
+	 * @returns {Array} a query per layer
+	 */
+const queriesFor = (output, ogr_type, lang, conditionsFor) => layersFor(output).map(layer => (
+	queryFor(layer, ogr_type, lang, conditionsFor(layer.table, layer.areaIdColumn))
+));
+
+module.exports = {
+	layers,
+	themes,
+	layersFor,
+	layerOf,
+	stylesOf,
+	styleOf,
+	classStyle,
+	normalised,
+	cssColor,
+	themed,
+	queryFor,
+	queriesFor
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+/*
+	 * Rasterises svg_files/ into the icons the KMZ and KML use, files-11/ and files-15/,
+	 * and into a sprite sheet for web maps, sprite/sprite.{png,json} and sprite/sprite@2x.{png,json}:
+	 *   node make-icons.js
+	 * KML tints its icons with their IconStyle's colour, so the ones in files-11/ and files-15/ are white;
+	 * web maps don't, so in the sprite each is drawn in the colour of the style in layers.json that uses it.
+	 * svg_files/ themselves stay as they're drawn, since they're uploaded as they are for Mapbox's sprite.
+	 */
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('ramda');
+const Resvg = require('@resvg/resvg-js').Resvg;
+const PNG = require('pngjs').PNG;
+const layers = require('./layers').layers;
+const stylesOf = require('./layers').stylesOf;
+const cssColor = require('./layers').cssColor;
+const ICON_SIZES = require('./api').ICON_SIZES;
+
+const ROOT = path.join(__dirname, '..');
+const SVG_DIR = path.join(ROOT, 'svg_files');
+const SPRITE_DIR = path.join(ROOT, 'sprite');
+
+// As big as the Inkscape script made them; Google Earth scales them down itself
+const ICON_RESOLUTION = 1024;
+const PIXEL_RATIOS = [1, 2];
+
+// White, since tinting multiplies; and what an icon no style uses is drawn in, like the ones the Inkscape script inverted
+const BASE_COLOR = 'ffffffff';
+
+// Icon (as in layers.json, eg 'parking') to the colour of the style that uses it, rrggbbaa
+const ICON_COLORS = _.fromPairs(_.chain(layer => (layer.style ? stylesOf(layer.style) : []), layers)
+	.filter(style => style.icon)
+	.map(style => [style.icon, style.color]));
+
+/**
+	 * @param {string} name -- an svg's name, less .svg; eg 'parking-11', or 'decision-point-icon'
+	 * @returns {object} {icon, sizes}; an svg without a size in its name is drawn at every size
+	 */
+const iconOf = name => {
+	const size = Number(name.split('-').pop());
+	return ICON_SIZES.includes(size) ? {icon: name.slice(0, -`-${size}`.length), sizes: [size]}
+		: /* else */ {icon: name, sizes: ICON_SIZES};
+};
+
+/**
+	 * Fills everything in the svg that doesn't say what it's filled with
+	 * @param {string} svg
+	 * @param {string} color -- rrggbbaa
+	 * @returns {string} the svg, coloured
+	 */
+const colored = (svg, color) => {
+	const [fill, opacity] = cssColor(color);
+	return svg.replace('<svg ', `<svg fill="${fill}" fill-opacity="${opacity}" `);
+};
+
+const WHITE = /^(white|#fff|#ffffff)$/i;
+
+/**
+	 * For tinting: whatever the svg fills with a colour goes white, and what it fills white goes black,
+	 * so the decision point's amber triangle takes the tint and its white exclamation mark still shows
+	 * @param {string} svg
+	 * @returns {string} the svg, white
+	 */
+const whitened = svg => colored(
+	svg.replace(/fill="([^"]*)"/g, (attribute, fill) => (
+		fill === 'none' ? attribute
+		: WHITE.test(fill) ? 'fill="black"'
+		: /*     else    */ 'fill="white"'
+	)),
+	BASE_COLOR
+);
+
+/**
+	 * @param {string} svg
+	 * @param {object} fitTo -- resvg's: {mode: 'width', value} or {mode: 'zoom', value}
+	 * @returns {object} {width, height, pixels}, pixels RGBA
+	 */
+const render = (svg, fitTo) => {
+	const image = new Resvg(svg, {fitTo}).render();
+	return {width: image.width, height: image.height, pixels: image.pixels};
+};
+
+/**
+	 * @param {object} image -- {width, height, pixels}
+	 * @returns {Buffer} the image as a PNG
+	 */
+const pngOf = image => {
+	const png = new PNG({width: image.width, height: image.height});
+	image.pixels.copy(png.data);
+	return PNG.sync.write(png);
+};
+
+/**
+	 * Every icon in one row, with an index of where each is, as Mapbox GL and MapLibre want them
+	 * @param {Array} icons -- [[name, svg]]
+	 * @param {number} pixelRatio
+	 * @returns {object} {png, index}
+	 */
+const spriteOf = (icons, pixelRatio) => {
+	const images = icons.map(([name, svg]) => [name, render(svg, {mode: 'zoom', value: pixelRatio})]);
+	const sheet = new PNG({
+		width: _.sum(images.map(([_name, image]) => image.width)),
+		height: Math.max(...images.map(([_name, image]) => image.height))
+	});
+
+	const index = {};
+	images.reduce((x, [name, image]) => {
+		const source = new PNG({width: image.width, height: image.height});
+		image.pixels.copy(source.data);
+		PNG.bitblt(source, sheet, 0, 0, image.width, image.height, x, 0);
+		index[name] = {width: image.width, height: image.height, x, y: 0, pixelRatio};
+		return x + image.width;
+	}, 0);
+
+	return {png: PNG.sync.write(sheet), index};
+};
+
+function makeIcons() {
+	// Named as make-style.js expects them in the sprite: after their svg
+	const svgs = fs.readdirSync(SVG_DIR)
+		.filter(file => file.endsWith('.svg'))
+		.map(file => [file.slice(0, -'.svg'.length), fs.readFileSync(path.join(SVG_DIR, file), 'utf8')]);
+
+	svgs.forEach(([name, svg]) => {
+		const {icon, sizes} = iconOf(name);
+		const png = pngOf(render(whitened(svg), {mode: 'width', value: ICON_RESOLUTION}));
+		sizes.forEach(size => {
+			fs.writeFileSync(path.join(ROOT, `files-${size}`, `new-${icon}-${size}.png`), png);
+			console.log(`files-${size}/new-${icon}-${size}.png`);
+		});
+	});
+
+	fs.mkdirSync(SPRITE_DIR, {recursive: true});
+	PIXEL_RATIOS.forEach(pixelRatio => {
+		const sprite = spriteOf(svgs.map(([name, svg]) => (
+			[name, colored(svg, ICON_COLORS[iconOf(name).icon] || BASE_COLOR)]
+		)), pixelRatio);
+		const name = pixelRatio === 1 ? 'sprite' : `sprite@${pixelRatio}x`;
+		fs.writeFileSync(path.join(SPRITE_DIR, `${name}.png`), sprite.png);
+		fs.writeFileSync(path.join(SPRITE_DIR, `${name}.json`), JSON.stringify(sprite.index, null, 2));
+		console.log(`sprite/${name}.png`);
+	});
+}
+
+makeIcons();
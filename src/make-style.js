@@ -0,0 +1,132 @@
+'use strict';
+
+/*
+	 * Writes a Mapbox GL (or MapLibre) style for the tileset make-recipe.js makes,
+	 * styled from layers.json like the KMZ is:
+	 *   USERNAME=... node make-style.js TILESET_NAME STYLE_ID > style.json
+	 * The sprite is the one run_mapboxing.bash uploads svg_files/ to; SPRITE_URL to use another.
+	 */
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('ramda');
+const layersFor = require('./layers').layersFor;
+const classStyle = require('./layers').classStyle;
+const normalised = require('./layers').normalised;
+const cssColor = require('./layers').cssColor;
+
+const TILESET_NAME = process.argv[2] || 'test';
+const STYLE_ID = process.argv[3] || TILESET_NAME;
+
+const {USERNAME} = process.env;
+const SPRITE_URL = process.env.SPRITE_URL || `mapbox://sprites/${USERNAME}/${STYLE_ID}`;
+const ICON_SIZE = 15;
+
+const SOURCE = 'ates';
+
+// What's in the sprite: an icon is named after its svg, size and all
+const SPRITE_ICONS = fs.readdirSync(path.join(__dirname, '..', 'svg_files'))
+	.filter(file => file.endsWith('.svg'))
+	.map(file => file.slice(0, -'.svg'.length));
+
+/**
+	 * @param {string} icon -- as in layers.json, eg 'parking'
+	 * @returns {string} its name in the sprite; the ICON_SIZE one if it comes in sizes
+	 */
+const spriteIcon = icon => (
+	SPRITE_ICONS.includes(`${icon}-${ICON_SIZE}`) ? `${icon}-${ICON_SIZE}` : icon
+);
+
+/**
+	 * @param {object} layer -- from layers.json
+	 * @returns {Array} [[id, filter, concrete style]], one per class, or just the one if it isn't styled by a property
+	 */
+const classesOf = layer => {
+	const style = layer.style;
+	return style.classes ? _.keys(style.classes).map(value => [
+		`${layer.table}-${normalised(value)}`,
+		// Tiles have what the GeoJSON has: class_code a number, type lower cased and hyphenated
+		['==', ['to-string', ['get', style.property]], normalised(value)],
+		classStyle(style, value)
+	]) : /* else */ [[layer.table, undefined, style]];
+};
+
+/** Each kind of KML style, as the Mapbox GL layers that draw it the same way: (id, style) => [layer]
+	 */
+const STYLE_LAYERS = {
+	PolyStyle: (id, style) => [{
+		id,
+		type: 'fill',
+		paint: {
+			'fill-color': cssColor(style.color)[0],
+			'fill-opacity': cssColor(style.color)[1],
+			'fill-outline-color': cssColor(style.color)[0]
+		}
+	}],
+	LineStyle: (id, style) => [].concat(
+		// Access roads are drawn over a wider line of another colour, like in the KML
+		style.outerColor ? [{
+			id: `${id}-casing`,
+			type: 'line',
+			paint: {
+				'line-color': cssColor(style.outerColor)[0],
+				'line-opacity': cssColor(style.outerColor)[1],
+				'line-width': style.outerWidth
+			}
+		}] : [],
+		[{
+			id,
+			type: 'line',
+			paint: {
+				'line-color': cssColor(style.color)[0],
+				'line-opacity': cssColor(style.color)[1],
+				'line-width': style.width
+			}
+		}]
+	),
+	IconStyle: (id, style) => [{
+		id,
+		type: 'symbol',
+		layout: {'icon-image': spriteIcon(style.icon), 'icon-allow-overlap': true},
+		// Only changes anything for SDF icons; plain ones are drawn in their own colours
+		paint: {'icon-color': cssColor(style.color)[0]}
+	}]
+};
+
+/**
+	 * @param {object} layer -- from layers.json
+	 * @returns {Array} Mapbox GL layers for each of its classes, reading from its source layer
+	 */
+const styleLayersOf = layer => _.chain(
+	([id, filter, style]) => STYLE_LAYERS[style.kind](id, style).map(styleLayer => Object.assign(
+		styleLayer,
+		_.reject(_.isNil, {source: SOURCE, 'source-layer': layer.table, filter})
+	)),
+	classesOf(layer)
+);
+
+// Areas and zones at the bottom, points on top
+const DRAWING_ORDER = ['PolyStyle', 'LineStyle', 'IconStyle'];
+
+/**
+	 * @returns {object} the style, version 8
+	 */
+function Style() {
+	const layers = _.sortBy(layer => DRAWING_ORDER.indexOf(layer.style.kind), layersFor('tiles'));
+	return {
+		version: 8,
+		name: TILESET_NAME,
+		sources: {
+			[SOURCE]: {
+				type: 'vector',
+				url: `mapbox://${USERNAME}.${TILESET_NAME}`
+			}
+		},
+		sprite: SPRITE_URL,
+		layers: _.chain(styleLayersOf, layers)
+	};
+}
+
+console.log(
+	JSON.stringify(new Style(), null, 2)
+);
@@ -0,0 +1,169 @@
+'use strict';
+
+const shpWrite = require('shp-write').write;
+const _ = require('ramda');
+const newZipArchive = require('./zip').newZipArchive;
+const streamOf = require('./zip').streamOf;
+const warningsAs = require('./geojson').warningsAs;
+const WARNING_NAMES = require('./geojson').WARNING_NAMES;
+
+/** DBF allows 10 characters in a field name,
+	 * but the dbf package shp-write depends on only ever writes the first 8
+	 */
+const DBF_FIELD_NAME_LENGTH = 8;
+
+/** column names that wouldn't survive truncation with their meaning intact
+	 */
+const DBF_FIELD_NAMES = {
+	class_code: 'class',
+	description: 'descr',
+	table: 'layer',
+	managingRisk: 'risk'
+};
+
+/** decision point warnings come as concern_1, managingRisk_1, ... (see WARNINGS_STYLES' flat);
+	 * they go in as concern1, risk1, ...
+	 */
+const WARNING_COLUMN = new RegExp(`^(${_.values(WARNING_NAMES).join('|')})_(\\d+)$`);
+
+// The dbf package makes every text field this many bytes, and cuts off whatever's longer
+const DBF_TEXT_LENGTH = 254;
+
+/**
+	 * @param {string} column
+	 * @returns {string} what it'd like to be called in the DBF, at most DBF_FIELD_NAME_LENGTH characters
+	 */
+const wantedFieldName = column => {
+	const warning = column.match(WARNING_COLUMN);
+	return warning ? (DBF_FIELD_NAMES[warning[1]] || warning[1]).slice(0, DBF_FIELD_NAME_LENGTH - warning[2].length) + warning[2]
+		: /*  else */ (DBF_FIELD_NAMES[column] || column).slice(0, DBF_FIELD_NAME_LENGTH);
+};
+
+/**
+	 * The dbf package writes a byte per character, so it's handed the UTF-8 bytes as characters;
+	 * anything too long is cut short between characters, rather than wherever the dbf package would
+	 * @param {string} text
+	 * @returns {string} a character per byte of {text} in UTF-8, at most DBF_TEXT_LENGTH of them
+	 */
+const dbfText = text => {
+	const bytes = Buffer.from(text, 'utf8');
+	let end = Math.min(bytes.length, DBF_TEXT_LENGTH);
+	// 10xxxxxx is the middle of a character
+	while (end < bytes.length && (bytes[end] & 0xC0) === 0x80) {
+		end--;
+	}
+
+	return bytes.toString('latin1', 0, end);
+};
+
+/** GeoJSON geometry types to shapefile shape types,
+	 * with how to get the shapefile's parts out of the GeoJSON coordinates
+	 */
+const SHAPE_TYPES = {
+	Point: {type: 'POINT', parts: _.identity},
+	LineString: {type: 'POLYLINE', parts: coordinates => [coordinates]},
+	MultiLineString: {type: 'POLYLINE', parts: _.identity},
+	Polygon: {type: 'POLYGON', parts: _.identity},
+	MultiPolygon: {type: 'POLYGON', parts: _.unnest}
+};
+
+/**
+	 * @param {Array} columns -- property names as they come out of the database
+	 * @returns {object} mapping from each column to a unique name DBF can hold
+	 */
+function dbfFieldNames(columns) {
+	const taken = new Set();
+	const fieldNames = {};
+	columns.forEach(column => {
+		const wanted = wantedFieldName(column);
+		let fieldName = wanted;
+		for (let i = 1; taken.has(fieldName); i++) {
+			const suffix = String(i);
+			fieldName = wanted.slice(0, DBF_FIELD_NAME_LENGTH - suffix.length) + suffix;
+		}
+
+		taken.add(fieldName);
+		fieldNames[column] = fieldName;
+	});
+	return fieldNames;
+}
+
+/**
+	 * @param {Array} features -- GeoJSON features of one table and one shape type
+	 * @returns {object} {shp, shx, dbf, prj, cpg}, as Buffers
+	 */
+function writeShapefile(features) {
+	const shapeType = SHAPE_TYPES[features[0].geometry.type].type;
+	const columns = _.uniq(_.chain(f => _.keys(f.properties), features));
+	const fieldNames = dbfFieldNames(columns);
+
+	const rows = features.map(f => {
+		const row = {};
+		columns.forEach(column => {
+			const value = f.properties[column];
+			row[fieldNames[column]] = (value !== null && typeof value === 'object') ? dbfText(JSON.stringify(value))
+				: typeof value === 'string' ? dbfText(value)
+				: /*         else         */ value;
+		});
+		return row;
+	});
+	const geometries = features.map(f => SHAPE_TYPES[f.geometry.type].parts(f.geometry.coordinates));
+
+	const toBuffer = view => (
+		typeof view === 'string' ? Buffer.from(view)
+		: /*        else       */ Buffer.from(view.buffer, view.byteOffset, view.byteLength)
+	);
+
+	// shp-write calls back before it returns
+	let files;
+	shpWrite(rows, shapeType, geometries, (err, written) => {
+		if (err) {
+			throw err;
+		}
+
+		files = _.map(toBuffer, written);
+	});
+	// Text went in as UTF-8, see dbfText
+	files.cpg = Buffer.from('UTF-8');
+	return files;
+}
+
+/**
+	 * @param {FeatureCollection} featureCollection -- as made by promiseOfGeoJson
+	 * @returns {object} {table}_{shape type} => {shp, shx, dbf, prj, cpg}, a shapefile per layer and shape type
+	 */
+function shapefilesOf(featureCollection) {
+	// A field per warning, since a JSON string of them all wouldn't fit in one
+	const shapefileable = featureCollection.features
+		.filter(f => f.geometry && f.geometry.type in SHAPE_TYPES)
+		.map(warningsAs('flat'));
+	const byLayer = _.groupBy(
+		f => `${f.properties.table}_${SHAPE_TYPES[f.geometry.type].type.toLowerCase()}`,
+		shapefileable
+	);
+
+	return _.map(writeShapefile, byLayer);
+}
+
+/**
+	 * @param {FeatureCollection} featureCollection -- as made by promiseOfGeoJson
+	 * @param {Writable} output -- stream the zip is written to
+	 * @returns {Writable} output, the same one as the input
+	 */
+function makeShapefileZipStream(featureCollection, output) {
+	const archive = newZipArchive(output);
+
+	_.toPairs(shapefilesOf(featureCollection)).forEach(([layerName, files]) => {
+		_.toPairs(files).forEach(([extension, contents]) => {
+			archive.append(streamOf(contents), {name: `${layerName}.${extension}`});
+		});
+	});
+
+	archive.finalize();
+	return output;
+}
+
+module.exports = {
+	shapefilesOf,
+	makeShapefileZipStream
+};
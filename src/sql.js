@@ -0,0 +1,189 @@
+'use strict';
+
+/** Every table and column of the ATES schema a query is allowed to name.
+	 * Anything not in here is refused before it gets near the database.
+	 */
+const SCHEMA = {
+	areas_vw: ['id', 'name', 'geom'],
+	points_of_interest: ['id', 'area_id', 'name', 'type', 'comments', 'geom'],
+	access_roads: ['id', 'area_id', 'description', 'geom'],
+	avalanche_paths: ['id', 'area_id', 'name', 'geom'],
+	decision_points: ['id', 'area_id', 'name', 'comments', 'geom'],
+	decision_points_warnings: ['id', 'decision_point_id', 'warning', 'type'],
+	zones: ['id', 'area_id', 'class_code', 'comments', 'geom']
+};
+
+const GEOMETRY_COLUMN = 'geom';
+
+const GEOMETRY_TRANSFORMATIONS = {
+	KML: 'ST_AsKML',
+	GeoJSON: 'ST_AsGeoJSON'
+};
+
+const quoteIdentifier = identifier => `"${identifier.replace(/"/g, '""')}"`;
+
+// So a % or _ someone's searching for is just a % or _
+const escapeLike = text => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+	 * @param {string} table
+	 * @returns {string} the quoted table name
+	 * @throws {Error} if the table isn't in SCHEMA
+	 */
+function checkedTable(table) {
+	if (!Object.prototype.hasOwnProperty.call(SCHEMA, table)) {
+		throw new Error(`${table} isn't an ATES table`);
+	}
+
+	return quoteIdentifier(table);
+}
+
+/**
+	 * @param {string} table
+	 * @param {string} column
+	 * @returns {string} the quoted, table qualified column name
+	 * @throws {Error} if the column isn't in SCHEMA
+	 */
+function checkedColumn(table, column) {
+	const quotedTable = checkedTable(table);
+	if (!SCHEMA[table].includes(column)) {
+		throw new Error(`${table} has no column ${column}`);
+	}
+
+	return `${quotedTable}.${quoteIdentifier(column)}`;
+}
+
+/**
+	 * Hands out $1, $2, ... placeholders as values are added
+	 * @class
+	 */
+function Parameters() {
+	this.values = [];
+}
+
+/**
+	 * @returns {string} the placeholder standing in for {value}
+	 */
+Parameters.prototype.add = function (value) {
+	this.values.push(value);
+	return `$${this.values.length}`;
+};
+
+/** Ways of comparing a column to values; the values only ever go in as bind parameters
+	 */
+const OPERATORS = {
+	equals: (column, value, parameters) => `${column} = ${parameters.add(value)}`,
+	in: (column, values, parameters) => `${column} = ANY(${parameters.add(values)})`,
+	contains: (column, text, parameters) => `${column} ILIKE ${parameters.add(`%${escapeLike(text)}%`)}`,
+	intersects: (column, bbox, parameters) => {
+		const corners = bbox.map(corner => parameters.add(corner)).join(', ');
+		return `ST_Intersects(${column}, ST_Transform(ST_MakeEnvelope(${corners}, 4326), ST_SRID(${column})))`;
+	}
+};
+
+/**
+	 * One part of a WHERE clause
+	 * @class
+	 * @param {string} table		-- table the column is in
+	 * @param {string} column
+	 * @param {string} operator -- one of 'equals', 'in' (value is an array), 'contains' (value is text, case doesn't matter)
+	 *                             or 'intersects' (value is [minx, miny, maxx, maxy])
+	 * @param {*}			value
+	 */
+function Condition(table, column, operator, value) {
+	if (!(operator in OPERATORS)) {
+		throw new Error(`don't know how to compare with ${operator}`);
+	}
+
+	this.table = table;
+	this.column = column;
+	this.operator = operator;
+	this.value = value;
+}
+
+/**
+	 * @param {Parameters} parameters -- where the condition's values are put
+	 * @returns {string} the condition, as SQL
+	 */
+Condition.prototype.toSQL = function (parameters) {
+	return OPERATORS[this.operator](checkedColumn(this.table, this.column), this.value, parameters);
+};
+
+const whereClause = (conditions, parameters) => (
+	conditions.length > 0 ? ` WHERE ${conditions.map(c => c.toSQL(parameters)).join(' AND ')}`
+	: /*       else       */ ''
+);
+
+/**
+	 * @class
+	 * @param {string} table								- table to SELECT from
+	 * @param {Array}	non_geometry_columns - columns that don't contain geometry
+	 * @param {Array}	conditions					 - {Condition}s ANDed together into the WHERE clause
+	 * @param {string} ogr_type						 - 'KML' or 'GeoJSON'; how the geometry comes back, or null to leave it out
+	 *                                        (the bounding box still comes, as GeoJSON)
+	 * @param {boolean} bounding_box				- whether to also get the ST_Envelope of the geometry
+	 */
+function Query(table, non_geometry_columns, conditions, ogr_type, bounding_box) {
+	this.table = table;
+	this.non_geometry_columns = non_geometry_columns;
+	this.conditions = conditions || [];
+	this.ogr_type = ogr_type;
+	this.geometry_column = SCHEMA[table] && SCHEMA[table].includes(GEOMETRY_COLUMN) ? GEOMETRY_COLUMN : null;
+	this.bounding_box = typeof bounding_box !== 'undefined' ? bounding_box : false;
+	this.geometry_transformation = GEOMETRY_TRANSFORMATIONS[ogr_type] || GEOMETRY_TRANSFORMATIONS.GeoJSON;
+
+	const columns = non_geometry_columns.map(column => checkedColumn(table, column));
+	if (this.geometry_column) {
+		const geometry = checkedColumn(table, this.geometry_column);
+		if (this.bounding_box) {
+			columns.unshift(`${this.geometry_transformation}(ST_Envelope(${geometry})) AS bounding_box`);
+		}
+
+		if (ogr_type !== null) {
+			columns.unshift(`${this.geometry_transformation}(${geometry}) AS geometry`);
+		}
+	}
+
+	const parameters = new Parameters();
+	this.to_query = `SELECT ${columns.join(', ')} FROM ${checkedTable(table)}${whereClause(this.conditions, parameters)};`;
+	this.values = parameters.values;
+}
+
+/**
+	 * Constructor for a query that involves two tables.
+	 * It's a LEFT JOIN, so rows of {query1} with nothing to join to still come back, with nulls for {query2}'s columns.
+	 * @class
+	 * @param {Query}	query1			 -- the table to the joined from; where the geometry comes from
+	 * @param {Query}	query2			 -- the table to the joined to
+	 * @param {Array}	join_on			 -- [[table, column], [table, column]], the two columns that have to be equal
+	 * @param {Array}	conditions	 -- {Condition}s ANDed together into the WHERE clause
+	 * @param {Array}	order_by		 -- [[table, column], ...] to sort by; without it, rows come in whatever order Postgres likes
+	 * this will probably only work for our specific use case, but i don't think it's worth it to write expansive code here
+	 */
+function JoinQuery(query1, query2, join_on, conditions, order_by) {
+	const qualifiedColumns = query => query.non_geometry_columns.map(column => checkedColumn(query.table, column));
+
+	const geometry = checkedColumn(query1.table, query1.geometry_column);
+	const columns = [`${query1.geometry_transformation}(${geometry}) AS geometry`].concat(
+		qualifiedColumns(query1),
+		qualifiedColumns(query2)
+	);
+	const on = join_on.map(([table, column]) => checkedColumn(table, column)).join(' = ');
+	const orderBy = order_by && order_by.length > 0 ? ` ORDER BY ${order_by.map(([table, column]) => checkedColumn(table, column)).join(', ')}`
+		: /*                else                */ '';
+
+	const parameters = new Parameters();
+	return {
+		table: query1.table,
+		to_query: `SELECT ${columns.join(', ')} FROM ${checkedTable(query1.table)} LEFT JOIN ${checkedTable(query2.table)} ON ${on}${whereClause(conditions || [], parameters)}${orderBy};`,
+		values: parameters.values
+	};
+}
+
+module.exports = {
+	SCHEMA,
+	quoteIdentifier,
+	Condition,
+	Query,
+	JoinQuery
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const Readable = require('stream').Readable;
+const PassThrough = require('stream').PassThrough;
+const archiver = require('archiver');
+
+/**
+	 * archiver gets the CRC of Buffers and strings wrong, but not of streams,
+	 * so anything in memory goes in as one of these
+	 * @param {Buffer|string} contents
+	 * @returns {Readable} a stream of {contents}
+	 */
+function streamOf(contents) {
+	const stream = new Readable();
+	stream.push(contents);
+	stream.push(null);
+	return stream;
+}
+
+/**
+	 * the other way round: everything written to a stream, in one Buffer
+	 * @param {function} writeInto -- output => writes into and ends output; can return a promise, for its failures
+	 * @returns {Promise} of everything written
+	 */
+function bufferOf(writeInto) {
+	return new Promise((resolve, reject) => {
+		const output = new PassThrough();
+		const chunks = [];
+		output.on('data', chunk => chunks.push(chunk));
+		output.on('end', () => resolve(Buffer.concat(chunks)));
+		output.on('error', reject);
+		Promise.resolve(writeInto(output)).catch(reject);
+	});
+}
+
+/**
+	 * the zip setup every zipped download shares
+	 * @param {Writable} output -- stream the zip is piped into
+	 * @returns {Archiver} an archive that still needs things appended and to be finalized
+	 */
+function newZipArchive(output) {
+	const archive = archiver('zip', {
+		zlib: {level: 9}
+	});
+	// Throwing from in here would take the whole server down, so the output's failed instead
+	archive.on('warning', err => {
+		console.error(err);
+		if (err.code !== 'ENOENT') {
+			output.destroy(err);
+		}
+	});
+	archive.on('error', err => {
+		console.error(err);
+		output.destroy(err);
+	});
+	archive.pipe(output);
+	return archive;
+}
+
+module.exports = {
+	newZipArchive,
+	streamOf,
+	bufferOf
+};
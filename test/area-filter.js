@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('tape');
+const AreaFilter = require('../src/area-filter').AreaFilter;
+const parseAreaFilter = require('../src/area-filter').parseAreaFilter;
+const checkAreasExist = require('../src/area-filter').checkAreasExist;
+
+test('parseAreaFilter takes comma separated ids, with or without a bbox', t => {
+	t.deepEqual(parseAreaFilter('12,14,401'), new AreaFilter([12, 14, 401], null));
+	t.deepEqual(parseAreaFilter('12', '-118,50,-117,51'), new AreaFilter([12], [-118, 50, -117, 51]));
+	t.deepEqual(parseAreaFilter('all', '-118,50,-117,51'), new AreaFilter(null, [-118, 50, -117, 51]));
+	t.end();
+});
+
+test('parseAreaFilter refuses ids that aren\'t whole numbers', t => {
+	['', '12,', 'twelve', '12.5', '12;DROP TABLE zones', '1e400'].forEach(areaIds => {
+		t.equal(parseAreaFilter(areaIds), undefined, `'${areaIds}'`);
+	});
+	t.equal(parseAreaFilter('all'), undefined, 'all, without a bbox, is everything');
+	t.end();
+});
+
+test('parseAreaFilter refuses a bbox that isn\'t four numbers', t => {
+	['', '1,2,3', '1,2,3,4,5', '1,2,3,north', '1,2,3,Infinity'].forEach(bbox => {
+		t.equal(parseAreaFilter('all', bbox), undefined, `'${bbox}'`);
+	});
+	t.end();
+});
+
+test('parseAreaFilter refuses a bbox that\'s inside out', t => {
+	t.equal(parseAreaFilter('all', '-117,50,-118,51'), undefined, 'minx past maxx');
+	t.equal(parseAreaFilter('all', '-118,51,-117,50'), undefined, 'miny past maxy');
+	t.ok(parseAreaFilter('all', '-118,50,-118,50'), 'a point will do');
+	t.end();
+});
+
+test('parseAreaFilter refuses a parameter given more than once', t => {
+	t.equal(parseAreaFilter('12', ['1,2,3,4', '1,2,3,4']), undefined, 'bbox');
+	t.equal(parseAreaFilter(['12', '14']), undefined, 'areaIds');
+	t.end();
+});
+
+test('AreaFilter names the same features the same, however they were asked for', t => {
+	t.equal(String(parseAreaFilter('401,12,12')), String(parseAreaFilter('12,401')));
+	t.equal(String(parseAreaFilter('all', '1,2,3,4')), 'all@1,2,3,4');
+	t.end();
+});
+
+test('checkAreasExist rejects with a 404 naming the areas that aren\'t there', t => {
+	const client = {query: () => Promise.resolve({rows: [{id: 12}]})};
+	checkAreasExist(parseAreaFilter('12,14,15'), client).then(
+		() => t.fail('resolved'),
+		error => {
+			t.equal(error.status, 404);
+			t.equal(error.message, 'no area with id 14, 15');
+			t.end();
+		}
+	);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('tape');
+const DiskStore = require('../src/cache').DiskStore;
+const MemoryStore = require('../src/cache').MemoryStore;
+const ResponseCache = require('../src/cache').ResponseCache;
+
+const tmpDirectory = () => fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+const entry = (key, created) => ({key, areaIds: null, created, etag: '"x"', headers: {}, body: Buffer.from(key)});
+
+test('DiskStore keeps no more than maxEntries, throwing out the oldest', t => {
+	const directory = tmpDirectory();
+	const store = new DiskStore(directory, 2);
+	store.set('a', entry('a', 1))
+		.then(() => store.set('b', entry('b', 2)))
+		.then(() => store.set('c', entry('c', 3)))
+		.then(() => Promise.all(['a', 'b', 'c'].map(key => store.get(key))))
+		.then(([a, b, c]) => {
+			t.equal(a, undefined, 'the oldest is gone');
+			t.equal(b.body.toString(), 'b');
+			t.equal(c.body.toString(), 'c');
+			t.equal(fs.readdirSync(directory).length, 4, 'and so are its files');
+			t.end();
+		})
+		.catch(t.end);
+});
+
+test('ResponseCache throws out stale entries from disk as new ones come', t => {
+	const directory = tmpDirectory();
+	const cache = new ResponseCache(new DiskStore(directory, 100), 1000);
+	cache.store.set('old', entry('old', Date.now() - 5000))
+		.then(() => cache.set('new', 'new', {}, null))
+		.then(() => {
+			t.deepEqual(
+				fs.readdirSync(directory).filter(file => file.endsWith('.json')).length,
+				1,
+				'only the fresh one is left'
+			);
+			return cache.get('new');
+		})
+		.then(fresh => {
+			t.equal(fresh.body.toString(), 'new');
+			t.end();
+		})
+		.catch(t.end);
+});
+
+test('ResponseCache throws out stale entries from memory too', t => {
+	const cache = new ResponseCache(new MemoryStore(100), 1000);
+	cache.store.set('old', entry('old', Date.now() - 5000))
+		.then(() => cache.set('new', 'new', {}, null))
+		.then(() => {
+			t.deepEqual(Array.from(cache.store.entries.keys()), ['new']);
+			t.end();
+		})
+		.catch(t.end);
+});
+
+test('ResponseCache.invalidate throws out entries with any of the areas, and those for any area', t => {
+	const cache = new ResponseCache(new DiskStore(tmpDirectory(), 100), 60000);
+	Promise.all([
+		cache.set('12', '12', {}, [12]),
+		cache.set('14', '14', {}, [14]),
+		cache.set('all', 'all', {}, null)
+	])
+		.then(() => cache.invalidate([12]))
+		.then(removed => {
+			t.equal(removed, 2);
+			return Promise.all(['12', '14', 'all'].map(key => cache.get(key)));
+		})
+		.then(([twelve, fourteen, all]) => {
+			t.equal(twelve, undefined);
+			t.equal(fourteen.body.toString(), '14');
+			t.equal(all, undefined);
+			t.end();
+		})
+		.catch(t.end);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('tape');
+const loadConfig = require('../src/config').loadConfig;
+const DEFAULTS = require('../src/config').DEFAULTS;
+
+// An ATES_CONFIG file holding {config}
+const configFile = config => {
+	const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-')), 'config.json');
+	fs.writeFileSync(file, JSON.stringify(config));
+	return file;
+};
+
+test('loadConfig is DEFAULTS when nothing says otherwise', t => {
+	t.deepEqual(loadConfig({}), DEFAULTS);
+	t.deepEqual(loadConfig({PORT: '', CACHE_DIR: ''}), DEFAULTS, 'empty variables count as unset');
+	t.end();
+});
+
+test('loadConfig takes the ATES_CONFIG file over DEFAULTS, keeping the defaults it doesn\'t mention', t => {
+	const config = loadConfig({ATES_CONFIG: configFile({port: 8080, pool: {max: 4}, database: {host: 'db'}})});
+	t.equal(config.port, 8080);
+	t.equal(config.pool.max, 4);
+	t.equal(config.pool.idleTimeoutMillis, DEFAULTS.pool.idleTimeoutMillis);
+	t.deepEqual(config.database, {host: 'db'});
+	t.deepEqual(config.cache, DEFAULTS.cache);
+	t.end();
+});
+
+test('loadConfig takes environment variables over the file', t => {
+	const config = loadConfig({
+		ATES_CONFIG: configFile({port: 8080, pool: {max: 4}, database: {host: 'db', user: 'ates'}}),
+		PORT: '9090',
+		PGHOST: 'elsewhere',
+		CACHE_INVALIDATION_TOKEN: 'secret'
+	});
+	t.equal(config.port, 9090, 'read as a number');
+	t.equal(config.pool.max, 4, 'the file, where there\'s no variable');
+	t.deepEqual(config.database, {host: 'elsewhere', user: 'ates'});
+	t.equal(config.cache.invalidationToken, 'secret');
+	t.end();
+});
+
+test('loadConfig refuses a port or pool size that isn\'t a number', t => {
+	t.throws(() => loadConfig({PORT: 'eighty'}), /port should be a number/);
+	t.throws(() => loadConfig({POOL_SIZE: 'ten'}), /pool\.max should be a number/);
+	t.throws(() => loadConfig({ATES_CONFIG: configFile({port: '3000'})}), /port should be a number/, 'from the file too');
+	t.end();
+});
+
+test('loadConfig throws if ATES_CONFIG can\'t be read', t => {
+	t.throws(() => loadConfig({ATES_CONFIG: path.join(os.tmpdir(), 'no-such-config.json')}), /ENOENT/);
+	t.end();
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const Writable = require('stream').Writable;
+const test = require('tape');
+const readInBatches = require('../src/cursor').readInBatches;
+const writeChunk = require('../src/cursor').writeChunk;
+
+// Takes one chunk, then never asks for more, like a client that's stopped reading
+const stuckOutput = () => new Writable({
+	highWaterMark: 1,
+	write: () => {}
+});
+
+// A client whose cursor hands out {batches} of rows, then none, and says whether it was closed
+const fakeClient = batches => {
+	const cursor = {
+		closed: false,
+		read: (n, callback) => setImmediate(() => callback(null, batches.shift() || [])),
+		close: callback => {
+			cursor.closed = true;
+			setImmediate(callback);
+		}
+	};
+	return {cursor, query: () => cursor};
+};
+
+test('writeChunk resolves straight away while the output keeps up', t => {
+	const output = new Writable({write: (chunk, encoding, callback) => callback()});
+	writeChunk(output, 'a').then(() => {
+		t.pass('resolved');
+		t.end();
+	});
+});
+
+test('writeChunk rejects when the output closes while it waits for drain', t => {
+	const output = stuckOutput();
+	writeChunk(output, 'abc').then(
+		() => t.fail('resolved'),
+		error => {
+			t.ok(error instanceof Error, 'rejected');
+			t.equal(output.listenerCount('drain'), 0, 'stopped listening for drain');
+			t.end();
+		}
+	);
+	output.destroy();
+});
+
+test('writeChunk rejects with the output\'s error', t => {
+	const output = stuckOutput();
+	output.on('error', () => {});
+	writeChunk(output, 'abc').then(
+		() => t.fail('resolved'),
+		error => {
+			t.equal(error.message, 'socket hang up');
+			t.end();
+		}
+	);
+	output.destroy(new Error('socket hang up'));
+});
+
+test('writeChunk rejects if the output is already closed', t => {
+	const output = stuckOutput();
+	output.destroy();
+	writeChunk(output, 'abc').then(() => t.fail('resolved'), () => {
+		t.pass('rejected');
+		t.end();
+	});
+});
+
+test('readInBatches hands over every batch and closes the cursor', t => {
+	const client = fakeClient([[1, 2], [3]]);
+	const read = [];
+	readInBatches(client, {to_query: 'SELECT', values: []}, rows => {
+		read.push(...rows);
+	}).then(() => {
+		t.deepEqual(read, [1, 2, 3]);
+		t.ok(client.cursor.closed, 'closed the cursor');
+		t.end();
+	});
+});
+
+test('readInBatches closes the cursor and stops reading when the output goes away', t => {
+	const client = fakeClient([[1], [2], [3]]);
+	const output = stuckOutput();
+	let batches = 0;
+	readInBatches(client, {to_query: 'SELECT', values: []}, rows => {
+		batches += 1;
+		return writeChunk(output, JSON.stringify(rows));
+	}).then(
+		() => t.fail('resolved'),
+		() => {
+			t.equal(batches, 1, 'read nothing after the output closed');
+			t.ok(client.cursor.closed, 'closed the cursor');
+			t.end();
+		}
+	);
+	setImmediate(() => output.destroy());
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('tape');
+const _ = require('ramda');
+const rowToFeature = require('../src/geojson').rowToFeature;
+const warnify = require('../src/geojson').warnify;
+const warningsAs = require('../src/geojson').warningsAs;
+const withSimplestyle = require('../src/geojson').withSimplestyle;
+const styleOf = require('../src/layers').styleOf;
+const layers = require('../src/layers.json').layers;
+
+const SAME_SPOT = JSON.stringify({type: 'Point', coordinates: [-117.7, 50.7]});
+
+// A row per warning, as decision_points LEFT JOIN decision_points_warnings gives them back
+const rows = [
+	{geometry: SAME_SPOT, id: 6, area_id: 401, name: 'DP A', comments: 'look', warning: 'cornices', type: 'concern'},
+	{geometry: SAME_SPOT, id: 6, area_id: 401, name: 'DP A', comments: 'look', warning: 'glide cracks', type: 'concern'},
+	{geometry: SAME_SPOT, id: 6, area_id: 401, name: 'DP A', comments: 'look', warning: 'go one at a time', type: 'managing-risk'},
+	{geometry: SAME_SPOT, id: 7, area_id: 401, name: 'DP B', comments: 'other', warning: 'wind slab', type: 'concern'},
+	{geometry: SAME_SPOT, id: 9, area_id: 401, name: 'DP C', comments: null, warning: null, type: null}
+];
+
+// What's left of a decision point's properties besides the ones every row has
+const warningsIn = _.omit(['id', 'area_id', 'name', 'comments', 'table']);
+
+test('warnify keeps decision points at the same spot apart, each with its own name and comments', t => {
+	const features = warnify(rows.map(rowToFeature('decision_points')));
+	t.deepEqual(
+		features.map(f => [f.properties.id, f.properties.name, f.properties.comments]),
+		[[6, 'DP A', 'look'], [7, 'DP B', 'other'], [9, 'DP C', null]]
+	);
+	t.deepEqual(
+		features.map(f => JSON.parse(f.properties.warnings)),
+		[
+			{'managing-risk': ['go one at a time'], concern: ['cornices', 'glide cracks']},
+			{'managing-risk': [], concern: ['wind slab']},
+			{'managing-risk': [], concern: []}
+		],
+		'with its own warnings, in the order they came'
+	);
+	t.deepEqual(features[0].geometry, JSON.parse(SAME_SPOT));
+	t.notOk('warning' in features[0].properties || 'type' in features[0].properties, 'the row-per-warning columns are gone');
+	t.end();
+});
+
+test('warningsAs arrays gives each warning type a list of its own, empty if there are none', t => {
+	const features = warnify(rows.map(rowToFeature('decision_points'))).map(warningsAs('arrays'));
+	t.deepEqual(
+		features.map(f => warningsIn(f.properties)),
+		[
+			{concern: ['cornices', 'glide cracks'], managingRisk: ['go one at a time']},
+			{concern: ['wind slab'], managingRisk: []},
+			{concern: [], managingRisk: []}
+		]
+	);
+	t.notOk(features.some(f => 'warnings' in f.properties), 'instead of warnings');
+	t.end();
+});
+
+test('warningsAs flat numbers each warning from 1, and leaves a decision point without any with none', t => {
+	const features = warnify(rows.map(rowToFeature('decision_points'))).map(warningsAs('flat'));
+	t.deepEqual(
+		features.map(f => warningsIn(f.properties)),
+		[
+			{concern_1: 'cornices', concern_2: 'glide cracks', managingRisk_1: 'go one at a time'},
+			{concern_1: 'wind slab'},
+			{}
+		]
+	);
+	t.notOk(features.some(f => 'warnings' in f.properties), 'instead of warnings');
+	t.end();
+});
+
+test('warningsAs leaves features that aren\'t decision points be', t => {
+	const zone = rowToFeature('zones')({geometry: SAME_SPOT, id: 1, class_code: 2});
+	t.deepEqual(warningsAs('flat')(zone).properties, {id: 1, class_code: 2, table: 'zones'});
+	t.end();
+});
+
+// Straight from layers.json, rrggbbaa, as a web map wants it: #rrggbb, the alpha byte left for the opacity
+const rrggbbOf = (table, value) => {
+	const style = layers.filter(layer => layer.table === table)[0].style;
+	return `#${(style.classes ? style.classes[value].color || style.color : style.color).slice(0, 6)}`;
+};
+
+test('withSimplestyle colours each class of zone as layers.json does', t => {
+	['1', '2', '3'].forEach(classCode => {
+		const zone = withSimplestyle(rowToFeature('zones')({geometry: SAME_SPOT, id: 1, class_code: Number(classCode)}));
+		t.equal(zone.properties.fill, rrggbbOf('zones', classCode), `class ${classCode} fill`);
+		t.equal(zone.properties.stroke, rrggbbOf('zones', classCode), `class ${classCode} stroke`);
+		t.equal(zone.properties['fill-opacity'], 0.53, 'with 88 as an opacity');
+	});
+	t.equal(
+		withSimplestyle(rowToFeature('zones')({geometry: SAME_SPOT, id: 1, class_code: 1})).properties.fill,
+		'#55ff00'
+	);
+	t.end();
+});
+
+test('withSimplestyle gives a point of interest its type\'s icon, in its colour', t => {
+	const poi = withSimplestyle(rowToFeature('points_of_interest')({geometry: SAME_SPOT, id: 1, name: 'Hut', type: 'Rescue Cache'}));
+	t.equal(poi.properties['marker-symbol'], 'blood-bank');
+	t.equal(poi.properties['marker-color'], rrggbbOf('points_of_interest', 'Rescue Cache'));
+	t.equal(poi.properties['marker-color'], '#000000');
+	t.end();
+});
+
+test('withSimplestyle leaves a feature of a class layers.json hasn\'t got unstyled', t => {
+	const zone = withSimplestyle(rowToFeature('zones')({geometry: SAME_SPOT, id: 1, class_code: 4}));
+	t.notOk('fill' in zone.properties || 'stroke' in zone.properties);
+	t.end();
+});
+
+test('styleOf finds a class by its value as the row or the GeoJSON has it', t => {
+	t.equal(styleOf('points_of_interest', {type: 'Rescue Cache'}).id, 'point_of_interest_rescue_cache_styles');
+	t.equal(styleOf('points_of_interest', {type: 'rescue-cache'}).id, 'point_of_interest_rescue_cache_styles');
+	t.equal(styleOf('zones', {class_code: 3}).id, 'zone_black_style');
+	t.equal(styleOf('access_roads', {}).id, 'access_road_styles', 'or the layer\'s one style');
+	t.equal(styleOf('zones', {class_code: 4}), undefined);
+	t.end();
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('tape');
+const initSqlJs = require('sql.js');
+const makeGeoPackage = require('../src/geopackage').makeGeoPackage;
+const area = require('./fixtures/area.json');
+
+// The GeoPackage goes out to a file and is read back from it, as QGIS would
+const openWritten = geoPackage => {
+	const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gpkg-')), 'area.gpkg');
+	fs.writeFileSync(file, geoPackage);
+	return initSqlJs().then(SQL => new SQL.Database(fs.readFileSync(file)));
+};
+
+const rowsOf = (db, sql) => {
+	const result = db.exec(sql)[0];
+	return result ? result.values : [];
+};
+
+test('makeGeoPackage lists a feature table per layer, and the warnings, in gpkg_contents', t => {
+	makeGeoPackage(area).then(openWritten).then(db => {
+		t.deepEqual(
+			rowsOf(db, 'SELECT table_name, data_type, srs_id FROM gpkg_contents ORDER BY table_name'),
+			[
+				['access_roads', 'features', 4326],
+				['areas_vw', 'features', 4326],
+				['decision_points', 'features', 4326],
+				['decision_points_warnings', 'attributes', null],
+				['points_of_interest', 'features', 4326],
+				['zones', 'features', 4326]
+			]
+		);
+		t.deepEqual(
+			rowsOf(db, 'SELECT min_x, min_y, max_x, max_y FROM gpkg_contents WHERE table_name = \'decision_points\''),
+			[[-117.7, 50.7, -117.7, 50.7]],
+			'with each table\'s extent'
+		);
+		t.deepEqual(rowsOf(db, 'PRAGMA application_id'), [[1196444487]], 'marked as a GeoPackage');
+		db.close();
+		t.end();
+	}).catch(t.end);
+});
+
+test('makeGeoPackage registers each table\'s geometry column with its type', t => {
+	makeGeoPackage(area).then(openWritten).then(db => {
+		t.deepEqual(
+			rowsOf(db, 'SELECT table_name, column_name, geometry_type_name, srs_id, z, m FROM gpkg_geometry_columns ORDER BY table_name'),
+			[
+				['access_roads', 'geom', 'LINESTRING', 4326, 0, 0],
+				['areas_vw', 'geom', 'POLYGON', 4326, 0, 0],
+				['decision_points', 'geom', 'POINT', 4326, 0, 0],
+				['points_of_interest', 'geom', 'POINT', 4326, 0, 0],
+				['zones', 'geom', 'POLYGON', 4326, 0, 0]
+			]
+		);
+		t.deepEqual(
+			rowsOf(db, 'SELECT fid, name, comments FROM decision_points ORDER BY fid'),
+			[[6, 'DP A', 'look'], [7, 'DP B', 'other']],
+			'features keep their ids and properties'
+		);
+		t.equal(
+			Buffer.from(rowsOf(db, 'SELECT geom FROM points_of_interest')[0][0]).toString('ascii', 0, 2),
+			'GP',
+			'geometries are GeoPackageBinary'
+		);
+		db.close();
+		t.end();
+	}).catch(t.end);
+});
+
+test('makeGeoPackage puts each decision point\'s warnings in decision_points_warnings', t => {
+	makeGeoPackage(area).then(openWritten).then(db => {
+		t.deepEqual(
+			rowsOf(db, 'SELECT decision_point_id, type, warning FROM decision_points_warnings ORDER BY id'),
+			[
+				[6, 'managing-risk', 'go one at a time'],
+				[6, 'concern', 'cornices'],
+				[6, 'concern', 'glide cracks'],
+				[7, 'concern', 'wind slab']
+			]
+		);
+		t.deepEqual(
+			rowsOf(db, 'PRAGMA table_info(decision_points)').map(column => column[1]),
+			['fid', 'geom', 'area_id', 'name', 'comments'],
+			'and not in decision_points'
+		);
+		db.close();
+		t.end();
+	}).catch(t.end);
+});
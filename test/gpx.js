@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('tape');
+const xml = require('xml');
+const geoJsonToGPX = require('../src/gpx').geoJsonToGPX;
+const area = require('./fixtures/area.json');
+
+const gpxOf = featureCollection => xml(geoJsonToGPX(featureCollection, 'en'));
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+test('geoJsonToGPX makes an access road a route', t => {
+	const gpx = gpxOf(area);
+	t.equal(count(gpx, /<rte>/g), 1);
+	t.equal(count(gpx, /<rtept /g), 2);
+	t.end();
+});
+
+test('geoJsonToGPX makes each part of an access road its own route, so nothing joins them', t => {
+	const gpx = gpxOf({
+		type: 'FeatureCollection',
+		features: [{
+			type: 'Feature',
+			geometry: {type: 'MultiLineString', coordinates: [
+				[[-117.2, 50.2], [-117.3, 50.3]],
+				[[-117.6, 50.6], [-117.7, 50.7], [-117.8, 50.8]]
+			]},
+			properties: {id: 3, area_id: 401, description: 'FSR', table: 'access_roads'}
+		}]
+	});
+	const routes = gpx.match(/<rte>.*?<\/rte>/g);
+	t.equal(routes.length, 2);
+	t.equal(count(routes[0], /<rtept /g), 2);
+	t.equal(count(routes[1], /<rtept /g), 3);
+	t.ok(routes[0].includes('lat="50.3"') && !routes[0].includes('lat="50.6"'), 'the first ends where its part does');
+	t.end();
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('tape');
+const shapefilesOf = require('../src/shapefile').shapefilesOf;
+
+// Each call gets its own copy, since flattening the warnings changes the features
+const area = () => JSON.parse(JSON.stringify(require('./fixtures/area.json')));
+
+/**
+	 * Just enough of a DBF reader: the field names, and each record's text as UTF-8, trailing blanks dropped
+	 */
+const readDbf = dbf => {
+	const records = dbf.readUInt32LE(4);
+	const headerLength = dbf.readUInt16LE(8);
+	const recordLength = dbf.readUInt16LE(10);
+	const fields = [];
+	for (let offset = 32; dbf[offset] !== 0x0D; offset += 32) {
+		fields.push({name: dbf.toString('latin1', offset, offset + 11).replace(/\0.*$/, ''), size: dbf[offset + 16]});
+	}
+
+	const rows = [];
+	for (let i = 0; i < records; i++) {
+		let offset = headerLength + (i * recordLength) + 1;
+		const row = {};
+		fields.forEach(field => {
+			row[field.name] = dbf.toString('utf8', offset, offset + field.size).trim();
+			offset += field.size;
+		});
+		rows.push(row);
+	}
+
+	return {fields: fields.map(f => f.name), rows};
+};
+
+test('shapefilesOf makes a shapefile per layer and shape type', t => {
+	t.deepEqual(
+		Object.keys(shapefilesOf(area())).sort(),
+		['access_roads_polyline', 'areas_vw_polygon', 'decision_points_point', 'points_of_interest_point', 'zones_polygon']
+	);
+	t.end();
+});
+
+test('decision point warnings go in a field each, not as a JSON string', t => {
+	const dbf = readDbf(shapefilesOf(area()).decision_points_point.dbf);
+	t.deepEqual(dbf.fields.sort(), ['area_id', 'comments', 'concern1', 'concern2', 'id', 'layer', 'name', 'risk1']);
+	t.deepEqual(
+		dbf.rows.map(row => [row.name, row.concern1, row.concern2, row.risk1]),
+		[['DP A', 'cornices', 'glide cracks', 'go one at a time'], ['DP B', 'wind slab', '', '']]
+	);
+	t.end();
+});
+
+test('lots of warnings all fit, each in its own field', t => {
+	const many = area();
+	const longWarning = 'w'.repeat(200);
+	many.features[3].properties.warnings = JSON.stringify({
+		'managing-risk': [],
+		concern: Array.from({length: 12}, (_, i) => `${i + 1} ${longWarning}`)
+	});
+	const dbf = readDbf(shapefilesOf(many).decision_points_point.dbf);
+	t.ok(dbf.fields.includes('concern1') && dbf.fields.includes('concer12'), 'named concern1 to concer12');
+	t.equal(dbf.rows[0].concer12, `12 ${longWarning}`, 'and none cut short');
+	t.end();
+});
+
+test('text goes in as UTF-8, and says so', t => {
+	const accented = area();
+	accented.features[1].properties.comments = 'l’accès, été';
+	accented.features[1].properties.name = 'é'.repeat(200);
+	const files = shapefilesOf(accented).points_of_interest_point;
+	const row = readDbf(files.dbf).rows[0];
+	t.equal(row.comments, 'l’accès, été');
+	t.equal(row.name, 'é'.repeat(127), 'too long text is cut between characters');
+	t.equal(files.cpg.toString(), 'UTF-8');
+	t.end();
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const test = require('tape');
+const Condition = require('../src/sql').Condition;
+const Query = require('../src/sql').Query;
+const JoinQuery = require('../src/sql').JoinQuery;
+
+test('Query refuses tables that aren\'t in SCHEMA', t => {
+	t.throws(() => new Query('pg_user', [], [], 'GeoJSON'), /pg_user isn't an ATES table/);
+	t.throws(() => new Query('zones; DROP TABLE zones', ['id'], [], 'GeoJSON'), /isn't an ATES table/);
+	t.end();
+});
+
+test('Query refuses columns that aren\'t in SCHEMA', t => {
+	t.throws(() => new Query('zones', ['id', 'password'], [], 'GeoJSON'), /zones has no column password/);
+	t.throws(() => new Query('zones', ['id'], [new Condition('zones', 'id) OR (1=1', 'equals', 1)], 'GeoJSON'), /has no column/);
+	t.throws(() => new Query('zones', ['id'], [new Condition('pg_user', 'usename', 'equals', 'x')], 'GeoJSON'), /isn't an ATES table/);
+	t.end();
+});
+
+test('Condition refuses operators it doesn\'t know', t => {
+	t.throws(() => new Condition('zones', 'id', 'like', 1), /don't know how to compare with like/);
+	t.end();
+});
+
+test('Query quotes every identifier', t => {
+	const query = new Query('zones', ['id', 'class_code'], [new Condition('zones', 'area_id', 'in', [1, 2])], 'GeoJSON', true);
+	t.equal(
+		query.to_query,
+		'SELECT ST_AsGeoJSON("zones"."geom") AS geometry, ST_AsGeoJSON(ST_Envelope("zones"."geom")) AS bounding_box, '
+			+ '"zones"."id", "zones"."class_code" FROM "zones" WHERE "zones"."area_id" = ANY($1);'
+	);
+	t.end();
+});
+
+test('Query only ever puts values in values', t => {
+	const sneaky = '\'; DROP TABLE zones; --';
+	const query = new Query('areas_vw', ['id', 'name'], [
+		new Condition('areas_vw', 'id', 'equals', 401),
+		new Condition('areas_vw', 'name', 'contains', sneaky),
+		new Condition('areas_vw', 'geom', 'intersects', [-118, 50, -117, 51])
+	], null);
+	t.equal(
+		query.to_query,
+		'SELECT "areas_vw"."id", "areas_vw"."name" FROM "areas_vw" WHERE "areas_vw"."id" = $1 AND "areas_vw"."name" ILIKE $2 '
+			+ 'AND ST_Intersects("areas_vw"."geom", ST_Transform(ST_MakeEnvelope($3, $4, $5, $6, 4326), ST_SRID("areas_vw"."geom")));'
+	);
+	t.deepEqual(query.values, [401, `%${sneaky}%`, -118, 50, -117, 51]);
+	t.notOk(query.to_query.includes('DROP'), 'nothing of the value is in the SQL');
+	t.end();
+});
+
+test('contains escapes % and _, so they only match themselves', t => {
+	const query = new Query('areas_vw', ['id'], [new Condition('areas_vw', 'name', 'contains', '100%_sure\\')], null);
+	t.deepEqual(query.values, ['%100\\%\\_sure\\\\%']);
+	t.end();
+});
+
+test('JoinQuery checks and quotes both tables\' columns, and binds its conditions\' values', t => {
+	const decisionPoints = new Query('decision_points', ['id', 'name'], [], 'KML');
+	const warnings = new Query('decision_points_warnings', ['warning', 'type'], [], 'KML');
+	const query = new JoinQuery(
+		decisionPoints,
+		warnings,
+		[['decision_points_warnings', 'decision_point_id'], ['decision_points', 'id']],
+		[new Condition('decision_points', 'area_id', 'in', [401])]
+	);
+	t.ok(query.to_query.startsWith(
+		'SELECT ST_AsKML("decision_points"."geom") AS geometry, "decision_points"."id", "decision_points"."name", '
+			+ '"decision_points_warnings"."warning", "decision_points_warnings"."type" FROM "decision_points" '
+			+ 'LEFT JOIN "decision_points_warnings" ON "decision_points_warnings"."decision_point_id" = "decision_points"."id" '
+			+ 'WHERE "decision_points"."area_id" = ANY($1)'
+	));
+	t.deepEqual(query.values, [[401]]);
+	t.throws(() => new JoinQuery(
+		decisionPoints,
+		warnings,
+		[['decision_points_warnings', 'decision_point_id'], ['decision_points', 'id']],
+		[],
+		[['decision_points', 'id); DROP TABLE zones; --']]
+	), /decision_points has no column/, 'checks what it sorts by too');
+	t.throws(() => new JoinQuery(
+		decisionPoints,
+		warnings,
+		[['decision_points_warnings', 'nope'], ['decision_points', 'id']],
+		[]
+	), /decision_points_warnings has no column nope/);
+	t.end();
+});
+
+test('JoinQuery sorts by decision point, then warning, so warnings come in the same order every time', t => {
+	const query = new JoinQuery(
+		new Query('decision_points', ['id'], [], 'GeoJSON'),
+		new Query('decision_points_warnings', ['warning', 'type'], [], 'GeoJSON'),
+		[['decision_points_warnings', 'decision_point_id'], ['decision_points', 'id']],
+		[new Condition('decision_points', 'area_id', 'in', [401])],
+		[['decision_points', 'id'], ['decision_points_warnings', 'id']]
+	);
+	t.ok(query.to_query.endsWith(
+		'WHERE "decision_points"."area_id" = ANY($1) ORDER BY "decision_points"."id", "decision_points_warnings"."id";'
+	));
+	t.end();
+});
+
+test('the decision points layer\'s query is sorted', t => {
+	const queryFor = require('../src/layers').queryFor;
+	const layerOf = require('../src/layers').layerOf;
+	const query = queryFor(layerOf('decision_points'), 'GeoJSON', 'en', []);
+	t.ok(query.to_query.endsWith('ORDER BY "decision_points"."id", "decision_points_warnings"."id";'));
+	t.end();
+});